@@ -6,7 +6,7 @@ import compression from "compression";
 import cookieParser from "cookie-parser";
 import bodyParser from "body-parser";
 import { createProxyMiddleware } from "http-proxy-middleware";
-import { authenticateToken } from "./middleware/auth.js";
+import { authenticateToken, optionalAuthenticate } from "./middleware/auth.js";
 import { createRateLimiter } from "./middleware/rateLimiter.js";
 import {
   getAllCircuitBreakerStatuses,
@@ -127,10 +127,16 @@ const restreamBody = (proxyReq, req) => {
 };
 
 // Helper function to forward user headers
+// (client-supplied values are dropped so they cannot be spoofed)
 const forwardUserHeaders = (proxyReq, req) => {
   if (req.user) {
     proxyReq.setHeader("X-User-Id", req.user.userId);
     proxyReq.setHeader("X-User-Email", req.user.email);
+    proxyReq.setHeader("X-User-Verified", String(Boolean(req.user.emailVerified)));
+  } else {
+    proxyReq.removeHeader("X-User-Id");
+    proxyReq.removeHeader("X-User-Email");
+    proxyReq.removeHeader("X-User-Verified");
   }
 };
 
@@ -174,13 +180,17 @@ app.post("/admin/circuit-breakers/:service/reset", (req, res) => {
   }
 });
 
-// Auth routes (public) - parse body and restream
+// Auth routes (public, user attached when logged in) - parse body and restream
 app.use(
   "/api/auth",
+  optionalAuthenticate,
   bodyParser.json(),
   createCircuitBreakerProxy("auth", SERVICES.auth, {
     pathRewrite: { "^/api/auth": "/api" },
-    onProxyReq: restreamBody,
+    onProxyReq: (proxyReq, req) => {
+      forwardUserHeaders(proxyReq, req);
+      restreamBody(proxyReq, req);
+    },
   })
 );
 
@@ -274,7 +284,13 @@ app.use("/graphql", authenticateToken, (req, res, next) => {
     query.includes("commentUpdated") ||
     query.includes("getComments") ||
     query.includes("createComment") ||
+    query.includes("updateComment") ||
     query.includes("deleteComment") ||
+    query.includes("likeComment") ||
+    query.includes("unlikeComment") ||
+    query.includes("reactToComment") ||
+    query.includes("removeCommentReaction") ||
+    query.includes("getCommentReactions") ||
     operationName.toLowerCase().includes("comment")
   ) {
     return commentGraphQLHttpProxy(req, res, next);
@@ -2,6 +2,7 @@ import Redis from "ioredis";
 import { logger } from "../utils/logger.js";
 
 let redisClient = null;
+let authRedisClient = null;
 
 export function createRedisClient() {
     if (redisClient) {
@@ -41,10 +42,41 @@ export function getRedisClient() {
     return redisClient;
 }
 
+/**
+ * Read-only view of Auth Service's Redis DB (token revocation list)
+ * DB and key prefix must match auth-service/src/config/redis.js
+ */
+export function getAuthRedisClient() {
+    if (authRedisClient) {
+        return authRedisClient;
+    }
+
+    authRedisClient = new Redis(process.env.REDIS_URL, {
+        db: 3,
+        keyPrefix: "auth:",
+        maxRetriesPerRequest: 3,
+        enableReadyCheck: true,
+        retryStrategy(times) {
+            const delay = Math.min(times * 50, 2000);
+            return delay;
+        },
+    });
+
+    authRedisClient.on("error", (err) => {
+        logger.error("❌ Auth Redis connection error:", err);
+    });
+
+    return authRedisClient;
+}
+
 export async function closeRedisConnection() {
     if (redisClient) {
         await redisClient.quit();
         redisClient = null;
         logger.info("Redis connection closed");
     }
+    if (authRedisClient) {
+        await authRedisClient.quit();
+        authRedisClient = null;
+    }
 }
@@ -1,4 +1,6 @@
 import jwt from "jsonwebtoken";
+import { getAuthRedisClient } from "../config/redis.js";
+import { logger } from "../utils/logger.js";
 
 // Verify JWT token and return decoded user or null
 export function verifyToken(token) {
@@ -9,10 +11,39 @@ export function verifyToken(token) {
   }
 }
 
-export function authenticateToken(req, res, next) {
-  const token =
+/**
+ * Check a decoded token against the revocation list written by Auth Service
+ * - revoked_token:{jti} → single token revoked (logout)
+ * - revoked_user:{userId} → tokens issued before this Unix time (ms) are revoked
+ */
+export async function isTokenRevoked(user) {
+  try {
+    const redis = getAuthRedisClient();
+    const [revokedToken, revokedBefore] = await redis.mget(
+      `revoked_token:${user.jti}`,
+      `revoked_user:${user.userId}`
+    );
+
+    if (revokedToken) return true;
+    // iatMs is the issue time in ms; older tokens only carry iat (seconds)
+    const issuedAt = user.iatMs ?? user.iat * 1000;
+    return revokedBefore !== null && issuedAt < parseInt(revokedBefore);
+  } catch (error) {
+    // Fail open - a Redis outage should not log everyone out
+    logger.error("Token revocation check error:", error);
+    return false;
+  }
+}
+
+function getToken(req) {
+  return (
     req.cookies.access_token ||
-    req.headers.authorization?.replace("Bearer ", "");
+    req.headers.authorization?.replace("Bearer ", "")
+  );
+}
+
+export async function authenticateToken(req, res, next) {
+  const token = getToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -23,7 +54,7 @@ export function authenticateToken(req, res, next) {
 
   const user = verifyToken(token);
 
-  if (!user) {
+  if (!user || (await isTokenRevoked(user))) {
     return res.status(403).json({
       success: false,
       message: "Invalid or expired token",
@@ -33,3 +64,14 @@ export function authenticateToken(req, res, next) {
   req.user = user;
   next();
 }
+
+// Attach the user when a valid token is present, but never reject the request
+export async function optionalAuthenticate(req, res, next) {
+  const token = getToken(req);
+  const user = token ? verifyToken(token) : null;
+
+  if (user && !(await isTokenRevoked(user))) {
+    req.user = user;
+  }
+  next();
+}
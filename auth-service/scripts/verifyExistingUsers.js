@@ -0,0 +1,45 @@
+import "dotenv/config";
+import prisma from "../src/lib/prisma.js";
+import { closeRedisConnection } from "../src/config/redis.js";
+import { invalidateUser } from "../src/services/cacheService.js";
+
+/**
+ * Mark accounts created before email verification was required as verified
+ *
+ * Usage: npm run verify-existing-users [-- <ISO date>]
+ * Run once when deploying email verification. Only unverified users created before
+ * the date (default: now) are changed, so running it again with the same date is a
+ * no-op. Access tokens pick up the new state on their next refresh.
+ */
+
+async function main() {
+  const before = process.argv[2] ? new Date(process.argv[2]) : new Date();
+
+  if (Number.isNaN(before.getTime())) {
+    throw new Error(`Invalid date ${process.argv[2]} (expected an ISO date)`);
+  }
+
+  const users = await prisma.user.findMany({
+    where: { emailVerified: false, createdAt: { lt: before } },
+    select: { id: true },
+  });
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: { in: users.map((user) => user.id) }, emailVerified: false },
+    data: { emailVerified: true, emailVerifiedAt: new Date() },
+  });
+
+  // /me and the internal lookups serve cached users
+  for (const user of users) {
+    await invalidateUser(user.id);
+  }
+
+  console.log(`✅ Marked ${count} existing users created before ${before.toISOString()} as verified`);
+}
+
+main()
+  .catch((error) => {
+    console.error("Verifying existing users failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([prisma.$disconnect(), closeRedisConnection()]));
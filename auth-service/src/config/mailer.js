@@ -0,0 +1,73 @@
+import nodemailer from "nodemailer";
+
+let mailer = null;
+
+/**
+ * Mail transports
+ * Each transport exposes sendMail({ to, subject, text, html })
+ */
+const transports = {
+    // SMTP - works with any SMTP server, including MailHog in development
+    smtp() {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+                ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS,
+                }
+                : undefined,
+        });
+
+        return {
+            async sendMail(message) {
+                await transporter.sendMail({
+                    from: process.env.MAIL_FROM,
+                    ...message,
+                });
+            },
+        };
+    },
+
+    // Console - logs emails instead of sending them
+    console() {
+        return {
+            async sendMail({ to, subject, text }) {
+                console.log(`📧 [Mail] To: ${to} | ${subject}\n${text}`);
+            },
+        };
+    },
+};
+
+/**
+ * Create mailer for Auth Service
+ * Transport is selected with MAIL_TRANSPORT (smtp | console)
+ */
+export function createMailer() {
+    if (mailer) {
+        return mailer;
+    }
+
+    const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+    const createTransport = transports[transportName];
+
+    if (!createTransport) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+    }
+
+    mailer = createTransport();
+    console.log(`✅ Mailer initialized with ${transportName} transport`);
+    return mailer;
+}
+
+/**
+ * Get existing mailer
+ */
+export function getMailer() {
+    if (!mailer) {
+        return createMailer();
+    }
+    return mailer;
+}
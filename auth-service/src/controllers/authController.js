@@ -3,10 +3,94 @@ import jwt from "jsonwebtoken";
 import prisma from "../lib/prisma.js";
 import {
   cacheUser,
+  cacheUsers,
+  getCachedUsers,
   getCachedUserExists,
   cacheUserExists,
   invalidateUserExists,
+  invalidateUser,
 } from "../services/cacheService.js";
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  issueAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  isAccessTokenRevoked,
+  ACTION_TOKENS,
+  issueActionToken,
+  decodeActionToken,
+  isActionTokenCurrent,
+} from "../services/tokenService.js";
+import { publishEvent } from "../services/eventPublisher.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../services/mailService.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+};
+
+// One shape for every user:{id} cache entry - /me and the internal lookups share the key
+const USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  fullName: true,
+  avatarUrl: true,
+  bio: true,
+  isPrivate: true,
+  emailVerified: true,
+  followerCount: true,
+  followingCount: true,
+  createdAt: true,
+};
+
+const PROFILE_LIMITS = {
+  FULL_NAME: 100,
+  BIO: 500,
+};
+
+// Avatars must come from our media storage (media-service uploads to Cloudinary)
+const AVATAR_URL_PATTERN = /^https:\/\/res\.cloudinary\.com\//;
+
+// Refresh cookie is only sent to the refresh/logout endpoints behind the gateway
+const refreshCookieOptions = {
+  ...cookieOptions,
+  path: "/api/auth",
+};
+
+function setAuthCookies(res, accessToken, refreshToken) {
+  res.cookie("access_token", accessToken, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL * 1000,
+  });
+
+  if (refreshToken) {
+    res.cookie("refresh_token", refreshToken, {
+      ...refreshCookieOptions,
+      maxAge: REFRESH_TOKEN_TTL * 1000,
+    });
+  }
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("access_token", cookieOptions);
+  res.clearCookie("refresh_token", refreshCookieOptions);
+}
+
+// Issue a fresh access token and a new refresh token family
+async function startSession(res, user) {
+  const accessToken = issueAccessToken(user);
+  const refreshToken = await issueRefreshToken(user.id);
+  setAuthCookies(res, accessToken, refreshToken);
+}
 
 // Signup
 export async function signup(req, res) {
@@ -70,25 +154,18 @@ export async function signup(req, res) {
     // Invalidate existence cache for this username/email
     await invalidateUserExists([username, email]);
 
-    // Generate token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        username: user.username,
-        email: user.email,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    // Set cookie
-    res.cookie("access_token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
+    await publishEvent("user.registered", {
+      userId: user.id,
+      username: user.username,
+      fullName: user.fullName,
     });
 
+    // Send verification email (does not block signup)
+    await sendVerificationEmail(user, issueActionToken(user, ACTION_TOKENS.VERIFY_EMAIL));
+
+    // Generate tokens and set cookies
+    await startSession(res, user);
+
     res.status(201).json({
       success: true,
       message: "User registered successfully",
@@ -97,6 +174,7 @@ export async function signup(req, res) {
         username: user.username,
         email: user.email,
         fullName: user.fullName,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
@@ -142,47 +220,111 @@ export async function login(req, res) {
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      {
+    if (user.isBanned) {
+      return res.status(403).json({
+        success: false,
+        message: "Account has been banned",
+      });
+    }
+
+    // Generate tokens and set cookies
+    await startSession(res, user);
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
         userId: user.id,
         username: user.username,
         email: user.email,
+        fullName: user.fullName,
+        emailVerified: user.emailVerified,
       },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Login failed",
+    });
+  }
+}
+
+// Refresh access token (rotates the refresh token)
+export async function refresh(req, res) {
+  try {
+    const token = req.cookies.refresh_token || req.body?.refreshToken;
 
-    // Set cookie
-    res.cookie("access_token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const { userId, refreshToken, error } = await rotateRefreshToken(token);
+
+    if (error) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
     });
 
+    if (!user || user.isBanned) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: user ? "Account has been banned" : "User not found",
+      });
+    }
+
+    setAuthCookies(res, issueAccessToken(user), refreshToken);
+
     res.json({
       success: true,
-      message: "Login successful",
+      message: "Token refreshed successfully",
       data: {
         userId: user.id,
         username: user.username,
         email: user.email,
         fullName: user.fullName,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Refresh token error:", error);
     res.status(500).json({
       success: false,
-      message: "Login failed",
+      message: "Failed to refresh token",
     });
   }
 }
 
 // Logout
-export function logout(req, res) {
-  res.clearCookie("access_token");
+export async function logout(req, res) {
+  const refreshToken = req.cookies.refresh_token || req.body?.refreshToken;
+  if (refreshToken) {
+    await revokeRefreshToken(refreshToken);
+  }
+
+  const accessToken =
+    req.cookies.access_token ||
+    req.headers.authorization?.replace("Bearer ", "");
+  if (accessToken) {
+    try {
+      await revokeAccessToken(jwt.verify(accessToken, process.env.JWT_SECRET));
+    } catch (error) {
+      // Invalid or expired token - nothing to revoke
+    }
+  }
+
+  clearAuthCookies(res);
   res.json({
     success: true,
     message: "Logout successful",
@@ -200,7 +342,7 @@ export function validateToken(req, res) {
     }
 
     // Xác thực token
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
       if (err) {
         // Xóa token không hợp lệ khỏi sessions
         return res.status(403).json({
@@ -209,6 +351,14 @@ export function validateToken(req, res) {
         });
       }
 
+      // Token đã bị thu hồi (logout, đổi mật khẩu, bị ban)
+      if (await isAccessTokenRevoked(user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Token đã bị thu hồi",
+        });
+      }
+
       req.user = user;
       req.token = token;
       res.status(200).json({
@@ -226,10 +376,330 @@ export function validateToken(req, res) {
   }
 }
 
+// Change password (revokes every session of the user)
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password and new password are required",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.passwordHash);
+
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash },
+    });
+
+    await revokeAllUserTokens(user.id);
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: "Password changed successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change password",
+    });
+  }
+}
+
+// Verify email with the token from the verification email
+export async function verifyEmail(req, res) {
+  try {
+    const { token } = req.body;
+    const payload = token && decodeActionToken(token, ACTION_TOKENS.VERIFY_EMAIL);
+
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.userId },
+    });
+
+    if (!user || !isActionTokenCurrent(payload, user, ACTION_TOKENS.VERIFY_EMAIL)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    const verifiedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerified: true, emailVerifiedAt: new Date() },
+    });
+
+    await invalidateUser(user.id);
+
+    // Refresh the access token of a logged-in user so the new state applies immediately
+    if (parseInt(req.headers["x-user-id"]) === user.id) {
+      setAuthCookies(res, issueAccessToken(verifiedUser));
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify email",
+    });
+  }
+}
+
+// Resend verification email to the current user
+export async function resendVerification(req, res) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    await sendVerificationEmail(user, issueActionToken(user, ACTION_TOKENS.VERIFY_EMAIL));
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send verification email",
+    });
+  }
+}
+
+// Forgot password - always succeeds so emails cannot be enumerated
+export async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    if (user && !user.isBanned) {
+      await sendPasswordResetEmail(user, issueActionToken(user, ACTION_TOKENS.RESET_PASSWORD));
+    }
+
+    res.json({
+      success: true,
+      message: "If the email exists, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process password reset request",
+    });
+  }
+}
+
+// Reset password with the token from the reset email
+export async function resetPassword(req, res) {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and new password are required",
+      });
+    }
+
+    const payload = decodeActionToken(token, ACTION_TOKENS.RESET_PASSWORD);
+    const user = payload
+      ? await prisma.user.findUnique({ where: { id: payload.userId } })
+      : null;
+
+    if (!user || !isActionTokenCurrent(payload, user, ACTION_TOKENS.RESET_PASSWORD)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash },
+    });
+
+    await revokeAllUserTokens(user.id);
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset password",
+    });
+  }
+}
+
+// Validate a profile update body and build the Prisma update data
+function buildProfileUpdate(body) {
+  const data = {};
+
+  if (body.fullName !== undefined) {
+    if (body.fullName !== null && typeof body.fullName !== "string") {
+      return { error: "Full name must be a string" };
+    }
+    const fullName = body.fullName?.trim() || null;
+    if (fullName && fullName.length > PROFILE_LIMITS.FULL_NAME) {
+      return { error: `Full name must be at most ${PROFILE_LIMITS.FULL_NAME} characters` };
+    }
+    data.fullName = fullName;
+  }
+
+  if (body.bio !== undefined) {
+    if (body.bio !== null && typeof body.bio !== "string") {
+      return { error: "Bio must be a string" };
+    }
+    const bio = body.bio?.trim() || null;
+    if (bio && bio.length > PROFILE_LIMITS.BIO) {
+      return { error: `Bio must be at most ${PROFILE_LIMITS.BIO} characters` };
+    }
+    data.bio = bio;
+  }
+
+  if (body.isPrivate !== undefined) {
+    if (typeof body.isPrivate !== "boolean") {
+      return { error: "isPrivate must be a boolean" };
+    }
+    data.isPrivate = body.isPrivate;
+  }
+
+  // Accept either a plain URL or the file object returned by media-service upload
+  const avatar = body.avatar !== undefined ? body.avatar?.url ?? null : body.avatarUrl;
+  if (avatar !== undefined) {
+    if (avatar !== null && (typeof avatar !== "string" || !AVATAR_URL_PATTERN.test(avatar))) {
+      return { error: "Avatar must be an uploaded media URL" };
+    }
+    data.avatarUrl = avatar;
+  }
+
+  if (Object.keys(data).length === 0) {
+    return { error: "No profile fields to update" };
+  }
+
+  return { data };
+}
+
+// Update current user profile
+export async function updateProfile(req, res) {
+  try {
+    const { data, error } = buildProfileUpdate(req.body || {});
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.userId },
+      data,
+      select: USER_SELECT,
+    });
+
+    // Replace cached user with the fresh data
+    await cacheUser(user.id, user);
+
+    await publishEvent("user.updated", {
+      userId: user.id,
+      username: user.username,
+      fullName: user.fullName,
+      avatarUrl: user.avatarUrl,
+      bio: user.bio,
+      isPrivate: user.isPrivate,
+      changedFields: Object.keys(data),
+    });
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: user,
+    });
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    console.error("Update profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update profile",
+    });
+  }
+}
+
 // Get current user
 export async function getCurrentUser(req, res) {
   try {
-    const userId = parseInt(req.headers["x-user-id"]);
+    const userId = req.userId;
 
     // Import cache functions at top of this function
     const { getCachedUser, cacheUser: cacheSingleUser } = await import("../services/cacheService.js");
@@ -241,16 +711,7 @@ export async function getCurrentUser(req, res) {
       // Cache miss - query database
       user = await prisma.user.findUnique({
         where: { id: userId },
-        select: {
-          id: true,
-          username: true,
-          email: true,
-          fullName: true,
-          avatarUrl: true,
-          bio: true,
-          isPrivate: true,
-          createdAt: true,
-        },
+        select: USER_SELECT,
       });
 
       // Cache for future requests
@@ -294,15 +755,7 @@ export async function getUserById(req, res) {
       // Cache miss - query database
       user = await prisma.user.findUnique({
         where: { id: userId },
-        select: {
-          id: true,
-          username: true,
-          email: true,
-          fullName: true,
-          avatarUrl: true,
-          bio: true,
-          isPrivate: true,
-        },
+        select: USER_SELECT,
       });
 
       // Cache for future requests
@@ -330,3 +783,162 @@ export async function getUserById(req, res) {
     });
   }
 }
+
+const MAX_BATCH_LOOKUP = 100;
+
+// Internal API: Get several users by ID in one call (used by DataLoaders)
+// Users are returned in request order; unknown IDs are left out
+export async function getUsersByIds(req, res) {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({
+        success: false,
+        message: "ids must be an array",
+      });
+    }
+
+    const unique = [...new Set(ids.filter((id) => Number.isInteger(id)))];
+
+    if (unique.length > MAX_BATCH_LOOKUP) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BATCH_LOOKUP} users can be fetched at once`,
+      });
+    }
+
+    // Cache first, then one query for the misses
+    const users = await getCachedUsers(unique);
+    const missingIds = unique.filter((id) => !users.has(id));
+
+    if (missingIds.length > 0) {
+      const found = await prisma.user.findMany({
+        where: { id: { in: missingIds } },
+        select: USER_SELECT,
+      });
+
+      found.forEach((user) => users.set(user.id, user));
+      await cacheUsers(found);
+    }
+
+    res.json({
+      success: true,
+      data: unique.filter((id) => users.has(id)).map((id) => users.get(id)),
+    });
+  } catch (error) {
+    console.error("Get users by IDs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get users",
+    });
+  }
+}
+
+const MAX_USER_PAGE = 500;
+
+// Internal API: Page through all active users in ID order (used to rebuild the search index)
+export async function listUsers(req, res) {
+  try {
+    const afterId = parseInt(req.query.afterId) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_USER_PAGE);
+
+    const users = await prisma.user.findMany({
+      where: { id: { gt: afterId }, isBanned: false },
+      select: { id: true, username: true, fullName: true },
+      orderBy: { id: "asc" },
+      take: limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        nextAfterId: users.length === limit ? users[users.length - 1].id : null,
+      },
+    });
+  } catch (error) {
+    console.error("List users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list users",
+    });
+  }
+}
+
+const MAX_USERNAME_LOOKUP = 50;
+
+// Internal API: Resolve usernames to user IDs (used for @mentions)
+export async function getUsersByUsernames(req, res) {
+  try {
+    const { usernames } = req.body;
+
+    if (!Array.isArray(usernames)) {
+      return res.status(400).json({
+        success: false,
+        message: "usernames must be an array",
+      });
+    }
+
+    const unique = [...new Set(usernames.filter((name) => typeof name === "string"))]
+      .slice(0, MAX_USERNAME_LOOKUP);
+
+    // Unknown and banned usernames are simply left out
+    const users = unique.length > 0
+      ? await prisma.user.findMany({
+        where: { username: { in: unique }, isBanned: false },
+        select: { id: true, username: true },
+      })
+      : [];
+
+    res.json({
+      success: true,
+      data: users,
+    });
+  } catch (error) {
+    console.error("Get users by usernames error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get users",
+    });
+  }
+}
+
+// Internal API: Ban a user and revoke all of their tokens
+export async function banUser(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { isBanned: true },
+    });
+
+    await revokeAllUserTokens(userId);
+    await invalidateUser(userId);
+
+    await publishEvent("user.banned", { userId });
+
+    res.json({
+      success: true,
+      message: "User banned successfully",
+    });
+  } catch (error) {
+    console.error("Ban user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to ban user",
+    });
+  }
+}
@@ -0,0 +1,517 @@
+import prisma from "../lib/prisma.js";
+import { invalidateUser } from "../services/cacheService.js";
+import { publishEvent } from "../services/eventPublisher.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const listUserSelect = {
+  id: true,
+  username: true,
+  fullName: true,
+  avatarUrl: true,
+  isPrivate: true,
+};
+
+function parsePagination(query) {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const cursor = query.cursor ? parseInt(query.cursor) : null;
+  return { limit, cursor };
+}
+
+// Cursor-paginated follow rows, newest first (cursor is the follow row id)
+async function findFollowPage(where, include, { limit, cursor }) {
+  const follows = await prisma.follow.findMany({
+    where,
+    include,
+    take: limit + 1,
+    ...(cursor && {
+      cursor: { id: cursor },
+      skip: 1,
+    }),
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+
+  const hasMore = follows.length > limit;
+  const followsToReturn = hasMore ? follows.slice(0, -1) : follows;
+
+  return {
+    follows: followsToReturn,
+    hasMore,
+    nextCursor: hasMore ? followsToReturn[followsToReturn.length - 1].id : null,
+  };
+}
+
+// Owners and accepted followers can see the lists of a private account
+async function canViewConnections(viewerId, user) {
+  if (!user.isPrivate || viewerId === user.id) return true;
+  if (!viewerId) return false;
+
+  const follow = await prisma.follow.findUnique({
+    where: {
+      followerId_followingId: { followerId: viewerId, followingId: user.id },
+    },
+  });
+  return follow?.status === "accepted";
+}
+
+// Count updates applied when a follow becomes (or stops being) accepted
+async function updateFollowCounts(tx, followerId, followingId, delta) {
+  const op = delta > 0 ? "increment" : "decrement";
+  await tx.user.update({
+    where: { id: followerId },
+    data: { followingCount: { [op]: 1 } },
+  });
+  await tx.user.update({
+    where: { id: followingId },
+    data: { followerCount: { [op]: 1 } },
+  });
+}
+
+async function invalidateFollowUsers(followerId, followingId) {
+  await invalidateUser(followerId);
+  await invalidateUser(followingId);
+}
+
+async function publishFollowEvent(eventType, followerId, followingId, status) {
+  const follower = await prisma.user.findUnique({
+    where: { id: followerId },
+    select: { username: true },
+  });
+
+  await publishEvent(eventType, {
+    followerId,
+    followingId,
+    status,
+    followerName: follower?.username || "Someone",
+  });
+}
+
+// Follow a user (creates a follow request when the account is private)
+export async function followUser(req, res) {
+  try {
+    const followerId = req.userId;
+    const followingId = parseInt(req.params.id);
+
+    if (followerId === followingId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot follow yourself",
+      });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: followingId },
+      select: { id: true, isPrivate: true, isBanned: true },
+    });
+
+    if (!target || target.isBanned) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const existing = await prisma.follow.findUnique({
+      where: { followerId_followingId: { followerId, followingId } },
+    });
+
+    // Idempotent - following twice keeps the current state
+    if (existing) {
+      return res.json({
+        success: true,
+        message: existing.status === "accepted" ? "Already following" : "Follow request already sent",
+        data: { status: existing.status },
+      });
+    }
+
+    const status = target.isPrivate ? "pending" : "accepted";
+
+    await prisma.$transaction(async (tx) => {
+      await tx.follow.create({
+        data: { followerId, followingId, status },
+      });
+      if (status === "accepted") {
+        await updateFollowCounts(tx, followerId, followingId, 1);
+      }
+    });
+
+    await invalidateFollowUsers(followerId, followingId);
+
+    await publishFollowEvent(
+      status === "accepted" ? "user.followed" : "user.follow_requested",
+      followerId,
+      followingId,
+      status
+    );
+
+    res.status(201).json({
+      success: true,
+      message: status === "accepted" ? "Followed successfully" : "Follow request sent",
+      data: { status },
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      // Concurrent follow of the same user
+      return res.json({
+        success: true,
+        message: "Already following",
+      });
+    }
+    console.error("Follow user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to follow user",
+    });
+  }
+}
+
+// Unfollow a user (also cancels a pending follow request)
+export async function unfollowUser(req, res) {
+  try {
+    const followerId = req.userId;
+    const followingId = parseInt(req.params.id);
+
+    const existing = await prisma.follow.findUnique({
+      where: { followerId_followingId: { followerId, followingId } },
+    });
+
+    if (!existing) {
+      return res.json({
+        success: true,
+        message: "Not following",
+      });
+    }
+
+    // Only the request that actually deletes the row adjusts the counts
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.follow.deleteMany({
+        where: { id: existing.id, status: existing.status },
+      });
+      if (count > 0 && existing.status === "accepted") {
+        await updateFollowCounts(tx, followerId, followingId, -1);
+      }
+    });
+
+    await invalidateFollowUsers(followerId, followingId);
+
+    if (existing.status === "accepted") {
+      await publishEvent("user.unfollowed", { followerId, followingId });
+    }
+
+    res.json({
+      success: true,
+      message: existing.status === "accepted" ? "Unfollowed successfully" : "Follow request cancelled",
+    });
+  } catch (error) {
+    console.error("Unfollow user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unfollow user",
+    });
+  }
+}
+
+// List followers or following of a user
+async function listConnections(req, res, direction) {
+  try {
+    const userId = parseInt(req.params.id);
+    const viewerId = parseInt(req.headers["x-user-id"]) || null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, isPrivate: true, followerCount: true, followingCount: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!(await canViewConnections(viewerId, user))) {
+      return res.status(403).json({
+        success: false,
+        message: "This account is private",
+      });
+    }
+
+    const isFollowers = direction === "followers";
+    const page = await findFollowPage(
+      isFollowers
+        ? { followingId: userId, status: "accepted" }
+        : { followerId: userId, status: "accepted" },
+      isFollowers
+        ? { follower: { select: listUserSelect } }
+        : { following: { select: listUserSelect } },
+      parsePagination(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        users: page.follows.map((follow) => ({
+          ...(isFollowers ? follow.follower : follow.following),
+          followedAt: follow.createdAt.toISOString(),
+        })),
+        totalCount: isFollowers ? user.followerCount : user.followingCount,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    console.error(`List ${direction} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get ${direction}`,
+    });
+  }
+}
+
+export function getFollowers(req, res) {
+  return listConnections(req, res, "followers");
+}
+
+export function getFollowing(req, res) {
+  return listConnections(req, res, "following");
+}
+
+// Follower/following counts and the viewer's relationship to a user
+export async function getFollowStats(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const viewerId = parseInt(req.headers["x-user-id"]) || null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, followerCount: true, followingCount: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const follow = viewerId
+      ? await prisma.follow.findUnique({
+        where: { followerId_followingId: { followerId: viewerId, followingId: userId } },
+      })
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        userId: user.id,
+        followerCount: user.followerCount,
+        followingCount: user.followingCount,
+        followStatus: follow?.status || null,
+      },
+    });
+  } catch (error) {
+    console.error("Get follow stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get follow stats",
+    });
+  }
+}
+
+// Pending follow requests for the current user
+export async function getFollowRequests(req, res) {
+  try {
+    const page = await findFollowPage(
+      { followingId: req.userId, status: "pending" },
+      { follower: { select: listUserSelect } },
+      parsePagination(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        requests: page.follows.map((follow) => ({
+          ...follow.follower,
+          requestedAt: follow.createdAt.toISOString(),
+        })),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    console.error("Get follow requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get follow requests",
+    });
+  }
+}
+
+// Accept a pending follow request
+export async function acceptFollowRequest(req, res) {
+  try {
+    const followingId = req.userId;
+    const followerId = parseInt(req.params.followerId);
+
+    const accepted = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.follow.updateMany({
+        where: { followerId, followingId, status: "pending" },
+        data: { status: "accepted" },
+      });
+      if (count === 0) return false;
+
+      await updateFollowCounts(tx, followerId, followingId, 1);
+      return true;
+    });
+
+    if (!accepted) {
+      return res.status(404).json({
+        success: false,
+        message: "Follow request not found",
+      });
+    }
+
+    await invalidateFollowUsers(followerId, followingId);
+
+    await publishFollowEvent("user.followed", followerId, followingId, "accepted");
+
+    res.json({
+      success: true,
+      message: "Follow request accepted",
+    });
+  } catch (error) {
+    console.error("Accept follow request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept follow request",
+    });
+  }
+}
+
+// Reject a pending follow request
+export async function rejectFollowRequest(req, res) {
+  try {
+    const followingId = req.userId;
+    const followerId = parseInt(req.params.followerId);
+
+    const result = await prisma.follow.deleteMany({
+      where: { followerId, followingId, status: "pending" },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Follow request not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Follow request rejected",
+    });
+  } catch (error) {
+    console.error("Reject follow request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject follow request",
+    });
+  }
+}
+
+// Internal API: IDs of every account a user follows (for feed building)
+export async function getFollowingIds(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const follows = await prisma.follow.findMany({
+      where: { followerId: userId, status: "accepted" },
+      select: { followingId: true },
+    });
+
+    res.json({
+      success: true,
+      data: follows.map((follow) => follow.followingId),
+    });
+  } catch (error) {
+    console.error("Get following IDs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get following IDs",
+    });
+  }
+}
+
+// Internal API: Page through follower IDs of a user (for timeline fan-out)
+export async function getFollowerIds(req, res) {
+  try {
+    const userId = parseInt(req.params.id);
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+    const cursor = req.query.cursor ? parseInt(req.query.cursor) : null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { followerCount: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const follows = await prisma.follow.findMany({
+      where: { followingId: userId, status: "accepted" },
+      select: { id: true, followerId: true },
+      take: limit + 1,
+      ...(cursor && {
+        cursor: { id: cursor },
+        skip: 1,
+      }),
+      orderBy: { id: "asc" },
+    });
+
+    const hasMore = follows.length > limit;
+    const followsToReturn = hasMore ? follows.slice(0, -1) : follows;
+
+    res.json({
+      success: true,
+      data: {
+        ids: followsToReturn.map((follow) => follow.followerId),
+        followerCount: user.followerCount,
+        nextCursor: hasMore ? followsToReturn[followsToReturn.length - 1].id : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get follower IDs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get follower IDs",
+    });
+  }
+}
+
+// Internal API: Follow status of one user towards another (for post visibility checks)
+export async function getFollowStatus(req, res) {
+  try {
+    const followingId = parseInt(req.params.id);
+    const followerId = parseInt(req.params.followerId);
+
+    const follow = await prisma.follow.findUnique({
+      where: { followerId_followingId: { followerId, followingId } },
+      select: { status: true },
+    });
+
+    res.json({
+      success: true,
+      data: { status: follow?.status || null },
+    });
+  } catch (error) {
+    console.error("Get follow status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get follow status",
+    });
+  }
+}
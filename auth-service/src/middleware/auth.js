@@ -0,0 +1,28 @@
+// Require an authenticated user (X-User-Id is set by the API Gateway after verifying the JWT)
+export function requireUser(req, res, next) {
+  const userId = parseInt(req.headers["x-user-id"]);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required",
+    });
+  }
+
+  req.userId = userId;
+  next();
+}
+
+// Service-to-service authentication
+export function authenticateService(req, res, next) {
+  const serviceToken = req.headers["x-service-token"];
+
+  if (!serviceToken || serviceToken !== process.env.SERVICE_SECRET) {
+    return res.status(403).json({
+      success: false,
+      message: "Unauthorized service call",
+    });
+  }
+
+  next();
+}
@@ -3,10 +3,22 @@ import {
   signup,
   login,
   logout,
+  refresh,
   getCurrentUser,
   getUserById,
-  validateToken
+  getUsersByIds,
+  getUsersByUsernames,
+  listUsers,
+  validateToken,
+  changePassword,
+  banUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  updateProfile,
 } from "../controllers/authController.js";
+import { requireUser, authenticateService } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -14,12 +26,23 @@ const router = express.Router();
 router.post("/signup", signup);
 router.post("/login", login);
 router.post("/logout", logout);
+router.post("/refresh", refresh);
 router.post("/validate-token", validateToken)
+router.post("/verify-email", verifyEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
 
 // Protected routes (called from API Gateway with user info in headers)
-router.get("/me", getCurrentUser);
+router.get("/me", requireUser, getCurrentUser);
+router.patch("/me", requireUser, updateProfile);
+router.post("/change-password", requireUser, changePassword);
+router.post("/resend-verification", requireUser, resendVerification);
 
 // Internal routes (service-to-service)
+router.get("/internal/users", authenticateService, listUsers);
 router.get("/internal/users/:id", getUserById);
+router.post("/internal/users/batch", authenticateService, getUsersByIds);
+router.post("/internal/users/by-username", authenticateService, getUsersByUsernames);
+router.post("/internal/users/:id/ban", authenticateService, banUser);
 
 export default router;
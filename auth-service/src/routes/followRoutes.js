@@ -0,0 +1,36 @@
+import express from "express";
+import {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowStats,
+  getFollowRequests,
+  acceptFollowRequest,
+  rejectFollowRequest,
+  getFollowingIds,
+  getFollowerIds,
+  getFollowStatus,
+} from "../controllers/followController.js";
+import { requireUser, authenticateService } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes (viewer from X-User-Id when logged in)
+router.get("/users/:id/followers", getFollowers);
+router.get("/users/:id/following", getFollowing);
+router.get("/users/:id/follow-stats", getFollowStats);
+
+// Protected routes
+router.post("/users/:id/follow", requireUser, followUser);
+router.delete("/users/:id/follow", requireUser, unfollowUser);
+router.get("/follow-requests", requireUser, getFollowRequests);
+router.post("/follow-requests/:followerId/accept", requireUser, acceptFollowRequest);
+router.delete("/follow-requests/:followerId", requireUser, rejectFollowRequest);
+
+// Internal routes (service-to-service)
+router.get("/internal/users/:id/following-ids", authenticateService, getFollowingIds);
+router.get("/internal/users/:id/follower-ids", authenticateService, getFollowerIds);
+router.get("/internal/users/:id/followers/:followerId", authenticateService, getFollowStatus);
+
+export default router;
@@ -52,6 +52,47 @@ export async function getCachedUser(userId) {
     }
 }
 
+/**
+ * Get cached data of several users - returns Map(userId → user) of the cache hits
+ */
+export async function getCachedUsers(userIds) {
+    try {
+        const redis = getRedisClient();
+        if (!redis || userIds.length === 0) return new Map();
+
+        const cached = await redis.mget(...userIds.map((userId) => `user:${userId}`));
+        return new Map(
+            userIds
+                .map((userId, index) => [userId, cached[index]])
+                .filter(([, value]) => value)
+                .map(([userId, value]) => [userId, JSON.parse(value)])
+        );
+    } catch (error) {
+        console.error("Get cached users error:", error);
+        return new Map();
+    }
+}
+
+/**
+ * Cache data of several users
+ */
+export async function cacheUsers(users) {
+    try {
+        const redis = getRedisClient();
+        if (!redis || users.length === 0) return false;
+
+        const pipeline = redis.pipeline();
+        users.forEach((user) => {
+            pipeline.setex(`user:${user.id}`, TTL.USER, JSON.stringify(user));
+        });
+        await pipeline.exec();
+        return true;
+    } catch (error) {
+        console.error("Cache users error:", error);
+        return false;
+    }
+}
+
 /**
  * Cache username/email existence check
  */
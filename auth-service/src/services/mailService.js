@@ -0,0 +1,56 @@
+import { getMailer } from "../config/mailer.js";
+
+/**
+ * Mail Service for Auth Service
+ * Emails never block the calling flow - failures are logged and reported as false
+ */
+
+function buildLink(path, token) {
+    return `${process.env.CLIENT_URL}${path}?token=${encodeURIComponent(token)}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+async function send(message) {
+    try {
+        await getMailer().sendMail(message);
+        return true;
+    } catch (error) {
+        console.error("Send mail error:", error);
+        return false;
+    }
+}
+
+/**
+ * Send email verification link
+ */
+export async function sendVerificationEmail(user, token) {
+    const link = buildLink("/verify-email", token);
+
+    return send({
+        to: user.email,
+        subject: "Verify your NewFeed email",
+        text: `Hi ${user.username},\n\nPlease verify your email by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please verify your email by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`,
+    });
+}
+
+/**
+ * Send password reset link
+ */
+export async function sendPasswordResetEmail(user, token) {
+    const link = buildLink("/reset-password", token);
+
+    return send({
+        to: user.email,
+        subject: "Reset your NewFeed password",
+        text: `Hi ${user.username},\n\nYou can reset your password with this link:\n${link}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p>You can reset your password with <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you did not request this, you can ignore this email.</p>`,
+    });
+}
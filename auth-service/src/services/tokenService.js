@@ -0,0 +1,283 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { getRedisClient } from "../config/redis.js";
+
+/**
+ * Token Service for Auth Service
+ *
+ * Token Strategy:
+ * - Access token: short-lived JWT (default 15 minutes)
+ * - Refresh token: opaque random string (default 30 days), stored hashed in Redis
+ * - Every refresh rotates the refresh token; all tokens issued from one login
+ *   share a "family". Presenting an already-rotated token revokes the family.
+ *
+ * Key Patterns (auto-prefixed with 'auth:'):
+ * - refresh:{tokenHash} → { userId, familyId }
+ * - refresh_used:{tokenHash} → "1" once the token has been rotated
+ * - refresh_family:{familyId} → userId (family is revoked when the key is gone)
+ * - user_families:{userId} → Set of the user's refresh token families
+ * - revoked_token:{jti} → "1" until the access token would have expired
+ * - revoked_user:{userId} → Unix time in ms; access tokens issued before it are revoked
+ *
+ * The revocation keys are also read by the API Gateway (same DB and prefix).
+ * Access tokens carry their issue time in ms (iatMs): the standard iat is in whole
+ * seconds, which cannot tell a token issued right after a revocation from one before it.
+ *
+ * Action tokens (email verification, password reset) are JWTs signed with a
+ * purpose-specific key, so they can never be accepted as access tokens. They
+ * carry a fingerprint of the user state they act on, which makes them single-use:
+ * once the email is verified or the password changes, the fingerprint no longer matches.
+ */
+
+export const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL =
+    parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // 30 days
+
+export const ACTION_TOKENS = {
+    VERIFY_EMAIL: { purpose: "verify_email", ttl: 24 * 60 * 60 }, // 24 hours
+    RESET_PASSWORD: { purpose: "reset_password", ttl: 60 * 60 }, // 1 hour
+};
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Sign a short-lived access token for a user
+ */
+export function issueAccessToken(user) {
+    return jwt.sign(
+        {
+            userId: user.id,
+            username: user.username,
+            email: user.email,
+            emailVerified: user.emailVerified,
+            iatMs: Date.now(),
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+}
+
+/**
+ * Issue a new refresh token, starting a new family unless one is given
+ * Returns null when Redis is not configured
+ */
+export async function issueRefreshToken(userId, familyId = null) {
+    try {
+        const redis = getRedisClient();
+        if (!redis) return null;
+
+        const token = crypto.randomBytes(48).toString("base64url");
+        const tokenHash = hashToken(token);
+
+        const pipeline = redis.pipeline();
+        if (!familyId) {
+            familyId = crypto.randomUUID();
+            pipeline.setex(`refresh_family:${familyId}`, REFRESH_TOKEN_TTL, String(userId));
+            pipeline.sadd(`user_families:${userId}`, familyId);
+            pipeline.expire(`user_families:${userId}`, REFRESH_TOKEN_TTL);
+        }
+        pipeline.setex(
+            `refresh:${tokenHash}`,
+            REFRESH_TOKEN_TTL,
+            JSON.stringify({ userId, familyId })
+        );
+        await pipeline.exec();
+
+        return token;
+    } catch (error) {
+        console.error("Issue refresh token error:", error);
+        return null;
+    }
+}
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ *
+ * Returns { userId, refreshToken } on success, or { error } when the token is
+ * unknown, expired, revoked or has already been used. Reuse of a rotated token
+ * revokes the whole family.
+ */
+export async function rotateRefreshToken(token) {
+    const redis = getRedisClient();
+    if (!redis) {
+        return { error: "Refresh tokens are not available" };
+    }
+
+    const tokenHash = hashToken(token);
+    const stored = await redis.get(`refresh:${tokenHash}`);
+    if (!stored) {
+        return { error: "Invalid or expired refresh token" };
+    }
+
+    const { userId, familyId } = JSON.parse(stored);
+
+    const familyActive = await redis.exists(`refresh_family:${familyId}`);
+    if (!familyActive) {
+        return { error: "Refresh token has been revoked" };
+    }
+
+    // Claim the token atomically - only the first caller may rotate it
+    const ttl = await redis.ttl(`refresh:${tokenHash}`);
+    const claimed = await redis.set(
+        `refresh_used:${tokenHash}`,
+        "1",
+        "EX",
+        ttl > 0 ? ttl : REFRESH_TOKEN_TTL,
+        "NX"
+    );
+
+    if (!claimed) {
+        console.warn(`⚠️ Refresh token reuse detected for user ${userId}, revoking family ${familyId}`);
+        await revokeTokenFamily(familyId);
+        return { error: "Refresh token reuse detected" };
+    }
+
+    const refreshToken = await issueRefreshToken(userId, familyId);
+    return { userId, refreshToken };
+}
+
+/**
+ * Revoke the family a refresh token belongs to (e.g. on logout)
+ */
+export async function revokeRefreshToken(token) {
+    try {
+        const redis = getRedisClient();
+        if (!redis) return false;
+
+        const stored = await redis.get(`refresh:${hashToken(token)}`);
+        if (!stored) return false;
+
+        const { familyId } = JSON.parse(stored);
+        return await revokeTokenFamily(familyId);
+    } catch (error) {
+        console.error("Revoke refresh token error:", error);
+        return false;
+    }
+}
+
+/**
+ * Revoke every refresh token of a family
+ */
+export async function revokeTokenFamily(familyId) {
+    try {
+        const redis = getRedisClient();
+        if (!redis) return false;
+
+        await redis.del(`refresh_family:${familyId}`);
+        return true;
+    } catch (error) {
+        console.error("Revoke token family error:", error);
+        return false;
+    }
+}
+
+/**
+ * Revoke a single access token until it expires (e.g. on logout)
+ */
+export async function revokeAccessToken(payload) {
+    try {
+        const redis = getRedisClient();
+        if (!redis || !payload?.jti) return false;
+
+        const ttl = payload.exp - Math.floor(Date.now() / 1000);
+        if (ttl <= 0) return true;
+
+        await redis.setex(`revoked_token:${payload.jti}`, ttl, "1");
+        return true;
+    } catch (error) {
+        console.error("Revoke access token error:", error);
+        return false;
+    }
+}
+
+/**
+ * Revoke every access and refresh token a user currently holds
+ * Called on password change and ban
+ */
+export async function revokeAllUserTokens(userId) {
+    try {
+        const redis = getRedisClient();
+        if (!redis) return false;
+
+        // Access tokens live at most ACCESS_TOKEN_TTL, so the cutoff can expire with them
+        await redis.setex(
+            `revoked_user:${userId}`,
+            ACCESS_TOKEN_TTL,
+            String(Date.now())
+        );
+
+        const families = await redis.smembers(`user_families:${userId}`);
+        const keys = families.map((familyId) => `refresh_family:${familyId}`);
+        await redis.del(...keys, `user_families:${userId}`);
+        return true;
+    } catch (error) {
+        console.error("Revoke all user tokens error:", error);
+        return false;
+    }
+}
+
+/**
+ * Check a decoded access token against the revocation list
+ */
+export async function isAccessTokenRevoked(payload) {
+    try {
+        const redis = getRedisClient();
+        if (!redis) return false;
+
+        const [revokedToken, revokedBefore] = await redis.mget(
+            `revoked_token:${payload.jti}`,
+            `revoked_user:${payload.userId}`
+        );
+
+        if (revokedToken) return true;
+        // Tokens issued before iatMs existed only have second precision
+        const issuedAt = payload.iatMs ?? payload.iat * 1000;
+        return revokedBefore !== null && issuedAt < parseInt(revokedBefore);
+    } catch (error) {
+        console.error("Check token revocation error:", error);
+        return false;
+    }
+}
+
+function actionTokenSecret(purpose) {
+    return crypto.createHmac("sha256", process.env.JWT_SECRET).update(purpose).digest("hex");
+}
+
+function actionTokenFingerprint(user, purpose) {
+    const state =
+        purpose === ACTION_TOKENS.RESET_PASSWORD.purpose
+            ? user.passwordHash
+            : `${user.email}:${user.emailVerified}`;
+    return crypto.createHash("sha256").update(state).digest("hex").slice(0, 32);
+}
+
+/**
+ * Sign a single-use action token (see ACTION_TOKENS)
+ */
+export function issueActionToken(user, { purpose, ttl }) {
+    return jwt.sign(
+        { userId: user.id, fp: actionTokenFingerprint(user, purpose) },
+        actionTokenSecret(purpose),
+        { expiresIn: ttl }
+    );
+}
+
+/**
+ * Decode an action token; returns the payload or null when invalid or expired
+ */
+export function decodeActionToken(token, { purpose }) {
+    try {
+        return jwt.verify(token, actionTokenSecret(purpose));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check that a decoded action token still matches the user's current state
+ */
+export function isActionTokenCurrent(payload, user, { purpose }) {
+    return payload.fp === actionTokenFingerprint(user, purpose);
+}
@@ -11,7 +11,9 @@ import { makeExecutableSchema } from "@graphql-tools/schema";
 import bodyParser from "body-parser";
 import typeDefs from "./graphql/schema.js";
 import resolvers from "./graphql/resolvers.js";
+import { createLoaders } from "./graphql/loaders.js";
 import commentRoutes from "./routes/commentRoutes.js";
+import internalRoutes from "./routes/internalRoutes.js";
 import { initEventListener } from "./services/eventListener.js";
 import { initEventPublisher } from "./services/eventPublisher.js";
 import { createRedisClient } from "./config/redis.js";
@@ -35,6 +37,9 @@ app.use(express.json());
 // Routes
 app.use("/api/comments", commentRoutes);
 
+// Internal routes (service-to-service)
+app.use("/api/internal", internalRoutes);
+
 // Create GraphQL schema
 const schema = makeExecutableSchema({ typeDefs, resolvers });
 
@@ -51,22 +56,24 @@ const serverCleanup = useServer(
     context: async (ctx) => {
       // Get user info from connection params (sent during connection)
       const token = ctx.connectionParams?.accessToken;
+      let user = null;
+
       if (token) {
         try {
-          const { user } = await authenToken(token);
-          return {
-            user: user.userId
-              ? {
-                userId: parseInt(user.userId),
-                email: user.email,
-              }
-              : null,
-          };
+          // Auth Service also rejects revoked tokens here
+          const { valid, user: tokenUser } = await authenToken(token);
+          if (valid && tokenUser.userId) {
+            user = {
+              userId: parseInt(tokenUser.userId),
+              email: tokenUser.email,
+              emailVerified: !!tokenUser.emailVerified,
+            };
+          }
         } catch (error) {
           console.log("Invalid token in GraphQL context");
         }
       }
-      return {}
+      return { user, loaders: createLoaders({ viewerId: user?.userId, cache: false }) };
     },
     onConnect: async (ctx) => {
       console.log("🔌 [WebSocket] Client connected");
@@ -113,22 +120,23 @@ async function startServer() {
           (req.headers["authorization"] &&
             req.headers["authorization"].split(" ")[1]);
 
+        let user = null;
+
         if (token) {
           try {
-            const { user } = await authenToken(token);
-            return {
-              user: user.userId
-                ? {
-                  userId: parseInt(user.userId),
-                  email: user.email,
-                }
-                : null,
-            };
+            const { valid, user: tokenUser } = await authenToken(token);
+            if (valid && tokenUser.userId) {
+              user = {
+                userId: parseInt(tokenUser.userId),
+                email: tokenUser.email,
+                emailVerified: !!tokenUser.emailVerified,
+              };
+            }
           } catch (error) {
             console.log("Invalid token in GraphQL context");
           }
         }
-        return {}
+        return { user, loaders: createLoaders({ viewerId: user?.userId }) };
       },
     })
   );
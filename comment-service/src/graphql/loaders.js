@@ -0,0 +1,58 @@
+import DataLoader from "dataloader";
+import prisma from "../lib/prisma.js";
+import { getUsersByIds } from "../services/userService.js";
+import { getReactionCountsByCommentIds, getReactionsOfUser } from "../services/reactionService.js";
+
+// Auth Service answers at most this many users per batch call
+const MAX_USER_BATCH = 100;
+
+// Rows of a batch query grouped into one list per key, in key order
+function groupBy(keys, rows, keyOf) {
+  const groups = new Map(keys.map((key) => [key, []]));
+  rows.forEach((row) => groups.get(keyOf(row))?.push(row));
+  return keys.map((key) => groups.get(key));
+}
+
+async function getMentionsByCommentIds(commentIds) {
+  const mentions = await prisma.commentMention.findMany({
+    where: { commentId: { in: commentIds } },
+    select: { commentId: true, userId: true, username: true, offset: true, length: true },
+    orderBy: { offset: "asc" },
+  });
+
+  return groupBy(commentIds, mentions, (mention) => mention.commentId);
+}
+
+// Whether the viewer liked each comment
+async function getLikedByUser(userId, commentIds) {
+  const likes = await prisma.commentLike.findMany({
+    where: { userId, commentId: { in: commentIds } },
+    select: { commentId: true },
+  });
+
+  const liked = new Set(likes.map((like) => like.commentId));
+  return commentIds.map((commentId) => liked.has(commentId));
+}
+
+/**
+ * Per-request DataLoaders - created for every GraphQL operation, so lookups made
+ * while resolving one response are batched and deduplicated but never shared
+ * between requests
+ *
+ * Subscriptions keep their context for as long as they are open, so they pass
+ * { cache: false }: lookups are still batched, but results are not memoized
+ *
+ * The per-viewer loaders (myReaction, likedByMe) answer for viewerId and are only
+ * created for logged in requests
+ */
+export function createLoaders({ viewerId = null, cache = true } = {}) {
+  return {
+    user: new DataLoader(getUsersByIds, { cache, maxBatchSize: MAX_USER_BATCH }),
+    reactionCounts: new DataLoader(getReactionCountsByCommentIds, { cache }),
+    mentions: new DataLoader(getMentionsByCommentIds, { cache }),
+    ...(viewerId && {
+      myReaction: new DataLoader((commentIds) => getReactionsOfUser(viewerId, commentIds), { cache }),
+      likedByMe: new DataLoader((commentIds) => getLikedByUser(viewerId, commentIds), { cache }),
+    }),
+  };
+}
@@ -1,13 +1,113 @@
 import prisma from "../lib/prisma.js";
 import { getUserById } from "../services/userService.js";
+import { resolveMentions } from "../services/mentionService.js";
+import { canViewPost } from "../services/postService.js";
+import {
+  setCommentReaction,
+  removeCommentReaction,
+  getCommentReactionCounts,
+  getMyCommentReaction,
+  withLikeCount,
+} from "../services/reactionService.js";
 import { publishEvent } from "../services/eventPublisher.js";
 import cacheService from "../services/cacheService.js";
 import pubsub, { COMMENT_EVENTS } from "../config/pubsub.js";
 import { withFilter } from "graphql-subscriptions";
 
+// Serialize a comment row for GraphQL, the cache and subscriptions
+// The author is not embedded - Comment.user resolves it per request
+function formatComment(comment, replies = []) {
+  return {
+    ...comment,
+    createdAt: comment.createdAt.toISOString(),
+    updatedAt: comment.updatedAt.toISOString(),
+    editedAt: comment.editedAt?.toISOString() ?? null,
+    replies,
+  };
+}
+
+// Notify users newly mentioned in a comment (authors mentioning themselves are skipped)
+// Only users who can see the post are notified
+async function publishMentionEvent(comment, authorName, mentions, alreadyMentioned = []) {
+  const candidateIds = [...new Set(mentions.map((mention) => mention.userId))].filter(
+    (userId) => userId !== comment.userId && !alreadyMentioned.includes(userId)
+  );
+
+  const canView = await Promise.all(
+    candidateIds.map((userId) => canViewPost(comment.postId, userId))
+  );
+  const mentionedUserIds = candidateIds.filter((_, index) => canView[index]);
+  if (mentionedUserIds.length === 0) return;
+
+  await publishEvent("comment.mentioned", {
+    commentId: comment.id,
+    postId: comment.postId,
+    mentionedUserIds,
+    mentionedBy: comment.userId,
+    mentionedByName: authorName,
+  });
+}
+
+// Subscriptions are only opened for posts the viewer can see
+function withPostAccess(subscribe) {
+  return async (parent, args, context, info) => {
+    if (!(await canViewPost(args.postId, context.user?.userId))) {
+      throw new Error("Post not found");
+    }
+    return subscribe(parent, args, context, info);
+  };
+}
+
+// Notify the author of a new like (likeComment and LIKE reactions)
+async function publishLike(comment, userId) {
+  const user = await getUserById(userId);
+
+  await publishEvent(
+    "like.created",
+    {
+      commentId: comment.id,
+      postId: comment.postId,
+      commentAuthorId: comment.userId,
+      likedBy: userId,
+      likedByName: user?.username || "Someone",
+    },
+    "likes"
+  );
+}
+
+// Current like total of a comment (read after a change, never from the comment cache)
+async function getLikeCount(commentId) {
+  const comment = await prisma.comment.findUnique({
+    where: { id: commentId },
+    select: { likeCount: true },
+  });
+  return comment?.likeCount ?? null;
+}
+
+// Drop the cached comment and comment lists after likeCount changed
+async function invalidateLikedComment(comment) {
+  await cacheService.invalidatePostComments(comment.postId);
+  await cacheService.invalidateSingleComment(comment.id);
+}
+
+// Load a comment only when the viewer can see its post
+async function loadVisibleComment(id, viewerId) {
+  const comment = await prisma.comment.findUnique({
+    where: { id },
+  });
+  if (!comment) return null;
+
+  return (await canViewPost(comment.postId, viewerId)) ? comment : null;
+}
+
 const resolvers = {
   Query: {
-    getComments: async (_, { postId, limit = 20, cursor }) => {
+    getComments: async (_, { postId, limit = 20, cursor }, context) => {
+      // Comments are only readable by viewers who can see the post
+      if (!(await canViewPost(postId, context.user?.userId))) {
+        throw new Error("Post not found");
+      }
+
       try {
         // Try cache first
         const cached = await cacheService.getCachedCommentsList(postId, limit, cursor);
@@ -32,38 +132,24 @@ const resolvers = {
         const hasMore = comments.length > limit;
         const commentsToReturn = hasMore ? comments.slice(0, -1) : comments;
 
-        // Fetch user data and replies for each comment
-        const commentsWithData = await Promise.all(
-          commentsToReturn.map(async (comment) => {
-            const user = await getUserById(comment.userId);
+        // Replies of the whole page in one query
+        const replies = await prisma.comment.findMany({
+          where: { parentCommentId: { in: commentsToReturn.map((comment) => comment.id) } },
+          orderBy: { createdAt: "asc" },
+        });
 
-            // Fetch replies
-            const replies = await prisma.comment.findMany({
-              where: { parentCommentId: comment.id },
-              orderBy: { createdAt: "asc" },
-            });
+        const repliesByParent = new Map();
+        replies.forEach((reply) => {
+          const siblings = repliesByParent.get(reply.parentCommentId) || [];
+          siblings.push(reply);
+          repliesByParent.set(reply.parentCommentId, siblings);
+        });
 
-            const repliesWithUsers = await Promise.all(
-              replies.map(async (reply) => {
-                const replyUser = await getUserById(reply.userId);
-                return {
-                  ...reply,
-                  user: replyUser,
-                  createdAt: reply.createdAt.toISOString(),
-                  updatedAt: reply.updatedAt.toISOString(),
-                  replies: [],
-                };
-              })
-            );
-
-            return {
-              ...comment,
-              user,
-              createdAt: comment.createdAt.toISOString(),
-              updatedAt: comment.updatedAt.toISOString(),
-              replies: repliesWithUsers,
-            };
-          })
+        const commentsWithData = commentsToReturn.map((comment) =>
+          formatComment(
+            comment,
+            (repliesByParent.get(comment.id) || []).map((reply) => formatComment(reply))
+          )
         );
 
         const result = {
@@ -83,6 +169,53 @@ const resolvers = {
         throw new Error("Failed to fetch comments");
       }
     },
+
+    getCommentReactions: async (_, { commentId, type, limit = 20, cursor }, context) => {
+      try {
+        const comment = await loadVisibleComment(commentId, context.user?.userId);
+
+        if (!comment) {
+          throw new Error("Comment not found");
+        }
+
+        const reactions = await prisma.commentReaction.findMany({
+          where: {
+            commentId,
+            ...(type && { type: type.toLowerCase() }),
+          },
+          take: limit + 1,
+          ...(cursor && {
+            cursor: { id: cursor },
+            skip: 1,
+          }),
+          orderBy: { id: "desc" },
+        });
+
+        const hasMore = reactions.length > limit;
+        const reactionsToReturn = hasMore ? reactions.slice(0, -1) : reactions;
+
+        const reactionsWithUsers = await Promise.all(
+          reactionsToReturn.map(async (reaction) => ({
+            id: reaction.id,
+            userId: reaction.userId,
+            user: await context.loaders.user.load(reaction.userId),
+            type: reaction.type.toUpperCase(),
+            createdAt: reaction.createdAt.toISOString(),
+          }))
+        );
+
+        return {
+          reactions: reactionsWithUsers,
+          hasMore,
+          nextCursor: hasMore
+            ? reactionsToReturn[reactionsToReturn.length - 1].id
+            : null,
+        };
+      } catch (error) {
+        console.error("Error fetching reactions:", error);
+        throw new Error("Failed to fetch reactions");
+      }
+    },
   },
 
   Mutation: {
@@ -91,6 +224,14 @@ const resolvers = {
         throw new Error("Unauthorized. Please login first.");
       }
 
+      if (!context.user.emailVerified) {
+        return {
+          success: false,
+          message: "Please verify your email before commenting",
+          comment: null,
+        };
+      }
+
       const { postId, content, parentCommentId } = input;
 
       if (!content || content.trim().length === 0) {
@@ -102,12 +243,25 @@ const resolvers = {
       }
 
       try {
+        if (!(await canViewPost(postId, context.user.userId))) {
+          return {
+            success: false,
+            message: "Post not found",
+            comment: null,
+          };
+        }
+
+        const mentions = await resolveMentions(content.trim());
+
         const comment = await prisma.comment.create({
           data: {
             postId,
             userId: context.user.userId,
             content: content.trim(),
             parentCommentId: parentCommentId || null,
+            mentions: {
+              create: mentions,
+            },
           },
         });
 
@@ -121,13 +275,7 @@ const resolvers = {
           await cacheService.invalidateSingleComment(parentCommentId);
         }
 
-        const commentWithUser = {
-          ...comment,
-          user,
-          createdAt: comment.createdAt.toISOString(),
-          updatedAt: comment.updatedAt.toISOString(),
-          replies: [],
-        };
+        const formatted = formatComment(comment);
 
         // Publish to RabbitMQ for notification service
         await publishEvent("comment.created", {
@@ -137,21 +285,24 @@ const resolvers = {
             authorName: user?.username || user?.name || "Unknown",
             createdAt: comment.createdAt.toISOString(),
             updatedAt: comment.updatedAt.toISOString(),
+            editedAt: comment.editedAt?.toISOString() ?? null,
           },
           postId,
           postAuthorId: null, // TODO: Fetch from post service
         });
 
+        await publishMentionEvent(comment, user?.username || "Someone", mentions);
+
         // 🔥 Publish to GraphQL Subscription
         await pubsub.publish(COMMENT_EVENTS.COMMENT_ADDED, {
-          commentAdded: commentWithUser,
+          commentAdded: formatted,
           postId,
         });
 
         return {
           success: true,
           message: "Comment created successfully",
-          comment: commentWithUser,
+          comment: formatted,
         };
       } catch (error) {
         console.error("Error creating comment:", error);
@@ -215,6 +366,7 @@ const resolvers = {
         await publishEvent("comment.deleted", {
           commentId: id,
           postId: comment.postId,
+          replyIds: repliesToDelete.map((reply) => reply.id),
         });
 
         // 🔥 Publish to GraphQL Subscription
@@ -237,36 +389,403 @@ const resolvers = {
         };
       }
     },
+
+    updateComment: async (_, { id, content }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      if (!content || content.trim().length === 0) {
+        return {
+          success: false,
+          message: "Comment content is required",
+          comment: null,
+        };
+      }
+
+      try {
+        // Authors who lost access to the post can no longer edit their comments on it
+        const existing = await loadVisibleComment(id, context.user.userId);
+
+        if (!existing) {
+          return {
+            success: false,
+            message: "Comment not found",
+            comment: null,
+          };
+        }
+
+        if (existing.userId !== context.user.userId) {
+          return {
+            success: false,
+            message: "You can only edit your own comments",
+            comment: null,
+          };
+        }
+
+        const newContent = content.trim();
+        let comment = existing;
+
+        let mentions = [];
+        let previousMentions = [];
+
+        if (newContent !== existing.content) {
+          mentions = await resolveMentions(newContent);
+          previousMentions = await prisma.commentMention.findMany({
+            where: { commentId: id },
+            select: { userId: true },
+          });
+
+          // Keep the previous version in the edit history
+          comment = await prisma.$transaction(async (tx) => {
+            await tx.commentRevision.create({
+              data: {
+                commentId: id,
+                content: existing.content,
+              },
+            });
+
+            // Offsets change with the content, so mentions are replaced as a whole
+            await tx.commentMention.deleteMany({
+              where: { commentId: id },
+            });
+
+            return tx.comment.update({
+              where: { id },
+              data: {
+                content: newContent,
+                editedAt: new Date(),
+                mentions: {
+                  create: mentions,
+                },
+              },
+            });
+          });
+
+          // Invalidate caches
+          await cacheService.invalidatePostComments(comment.postId);
+          await cacheService.invalidateSingleComment(id);
+        }
+
+        const formatted = formatComment(comment);
+
+        if (comment !== existing) {
+          const user = await getUserById(comment.userId);
+
+          // Publish to RabbitMQ for notification service
+          await publishEvent("comment.updated", {
+            comment: {
+              ...comment,
+              authorId: comment.userId,
+              authorName: user?.username || "Unknown",
+              createdAt: formatted.createdAt,
+              updatedAt: formatted.updatedAt,
+              editedAt: formatted.editedAt,
+            },
+            postId: comment.postId,
+          });
+
+          // 🔥 Publish to GraphQL Subscription
+          await pubsub.publish(COMMENT_EVENTS.COMMENT_UPDATED, {
+            commentUpdated: formatted,
+            postId: comment.postId,
+          });
+
+          await publishMentionEvent(
+            comment,
+            user?.username || "Someone",
+            mentions,
+            previousMentions.map((mention) => mention.userId)
+          );
+        }
+
+        return {
+          success: true,
+          message: "Comment updated successfully",
+          comment: formatted,
+        };
+      } catch (error) {
+        console.error("Error updating comment:", error);
+        return {
+          success: false,
+          message: "Failed to update comment",
+          comment: null,
+        };
+      }
+    },
+
+    likeComment: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const comment = await loadVisibleComment(id, userId);
+
+        if (!comment) {
+          return {
+            success: false,
+            message: "Comment not found",
+          };
+        }
+
+        // A like is the LIKE reaction - it replaces another reaction of the user
+        const { changed, previousType } = await setCommentReaction(id, userId, "like");
+
+        if (!changed) {
+          return {
+            success: true,
+            message: previousType === "like" ? "Comment already liked" : "Reaction unchanged",
+            likeCount: await getLikeCount(id),
+            likedByMe: previousType === "like",
+          };
+        }
+
+        await invalidateLikedComment(comment);
+        await publishLike(comment, userId);
+
+        return {
+          success: true,
+          message: "Comment liked successfully",
+          likeCount: await getLikeCount(id),
+          likedByMe: true,
+        };
+      } catch (error) {
+        console.error("Error liking comment:", error);
+        return {
+          success: false,
+          message: "Failed to like comment",
+        };
+      }
+    },
+
+    unlikeComment: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const comment = await loadVisibleComment(id, userId);
+
+        if (!comment) {
+          return {
+            success: false,
+            message: "Comment not found",
+          };
+        }
+
+        // Other reactions are left alone - only a like is removed
+        const removedType = await removeCommentReaction(id, userId, "like");
+        const likeCount = await getLikeCount(id);
+
+        if (!removedType) {
+          return {
+            success: true,
+            message: "Comment not liked",
+            likeCount,
+            likedByMe: false,
+          };
+        }
+
+        await invalidateLikedComment(comment);
+
+        return {
+          success: true,
+          message: "Comment unliked successfully",
+          likeCount,
+          likedByMe: false,
+        };
+      } catch (error) {
+        console.error("Error unliking comment:", error);
+        return {
+          success: false,
+          message: "Failed to unlike comment",
+        };
+      }
+    },
+
+    reactToComment: async (_, { commentId, type }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const comment = await loadVisibleComment(commentId, userId);
+
+        if (!comment) {
+          return {
+            success: false,
+            message: "Comment not found",
+          };
+        }
+
+        const { changed, previousType } = await setCommentReaction(
+          commentId,
+          userId,
+          type.toLowerCase()
+        );
+
+        if (changed && (type === "LIKE" || previousType === "like")) {
+          // likeCount changed
+          await invalidateLikedComment(comment);
+        }
+
+        if (changed && type === "LIKE") {
+          await publishLike(comment, userId);
+        } else if (changed) {
+          const user = await getUserById(userId);
+
+          // Publish to RabbitMQ (notification service aggregates reactions per comment)
+          await publishEvent("comment.reacted", {
+            commentId,
+            postId: comment.postId,
+            commentAuthorId: comment.userId,
+            reactedBy: userId,
+            reactedByName: user?.username || "Someone",
+            type: type.toLowerCase(),
+            previousType,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return {
+          success: true,
+          message: changed ? "Reaction saved" : "Reaction unchanged",
+          reactions: await getCommentReactionCounts(commentId, await getLikeCount(commentId)),
+          myReaction: await getMyCommentReaction(commentId, userId),
+        };
+      } catch (error) {
+        console.error("Error reacting to comment:", error);
+        return {
+          success: false,
+          message: "Failed to react to comment",
+        };
+      }
+    },
+
+    removeCommentReaction: async (_, { commentId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const comment = await prisma.comment.findUnique({
+          where: { id: commentId },
+        });
+
+        if (!comment) {
+          return {
+            success: false,
+            message: "Comment not found",
+          };
+        }
+
+        const removedType = await removeCommentReaction(commentId, userId);
+
+        if (removedType === "like") {
+          // Removing a like is not published, like unlikeComment
+          await invalidateLikedComment(comment);
+        } else if (removedType) {
+          await publishEvent("comment.unreacted", {
+            commentId,
+            postId: comment.postId,
+            commentAuthorId: comment.userId,
+            reactedBy: userId,
+            type: removedType,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return {
+          success: true,
+          message: removedType ? "Reaction removed" : "No reaction to remove",
+          reactions: await getCommentReactionCounts(commentId, await getLikeCount(commentId)),
+          myReaction: null,
+        };
+      } catch (error) {
+        console.error("Error removing comment reaction:", error);
+        return {
+          success: false,
+          message: "Failed to remove reaction",
+        };
+      }
+    },
+  },
+
+  Comment: {
+    // Resolved per request through the user cache - never part of the cached comment payload
+    user: (comment, _, context) => context.loaders.user.load(comment.userId),
+
+    reactions: async (comment, _, context) =>
+      withLikeCount(await context.loaders.reactionCounts.load(comment.id), comment.likeCount),
+
+    // Resolved per viewer - never part of the cached comment payload
+    myReaction: async (comment, _, context) => {
+      if (!context.user) return null;
+
+      return context.loaders.myReaction.load(comment.id);
+    },
+
+    // Resolved per viewer - never part of the cached comment payload
+    likedByMe: async (comment, _, context) => {
+      if (!context.user) return false;
+
+      return context.loaders.likedByMe.load(comment.id);
+    },
+
+    mentions: (comment, _, context) => context.loaders.mentions.load(comment.id),
+
+    editHistory: async (comment) => {
+      if (!comment.editedAt) return [];
+
+      const revisions = await prisma.commentRevision.findMany({
+        where: { commentId: comment.id },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      });
+
+      return revisions.map((revision) => ({
+        ...revision,
+        createdAt: revision.createdAt.toISOString(),
+      }));
+    },
   },
 
   Subscription: {
     commentAdded: {
       // Filter: Only send to clients subscribed to this specific postId
-      subscribe: withFilter(
+      subscribe: withPostAccess(withFilter(
         () => pubsub.asyncIterator([COMMENT_EVENTS.COMMENT_ADDED]),
         (payload, variables) => {
           // Only send to clients watching this post
           return payload.postId === variables.postId;
         }
-      ),
+      )),
     },
 
     commentUpdated: {
-      subscribe: withFilter(
+      subscribe: withPostAccess(withFilter(
         () => pubsub.asyncIterator([COMMENT_EVENTS.COMMENT_UPDATED]),
         (payload, variables) => {
           return payload.postId === variables.postId;
         }
-      ),
+      )),
     },
 
     commentDeleted: {
-      subscribe: withFilter(
+      subscribe: withPostAccess(withFilter(
         () => pubsub.asyncIterator([COMMENT_EVENTS.COMMENT_DELETED]),
         (payload, variables) => {
           return payload.postId === variables.postId;
         }
-      ),
+      )),
     },
   },
 };
@@ -1,10 +1,10 @@
 import { gql } from "graphql-tag";
 
 const typeDefs = gql`
+  "A user's public profile - never the email address"
   type User {
     id: Int!
     username: String!
-    email: String!
     fullName: String
     avatarUrl: String
   }
@@ -17,11 +17,69 @@ const typeDefs = gql`
     content: String!
     parentCommentId: Int
     likeCount: Int!
+    likedByMe: Boolean!
+    "Reaction totals, most used first (types without reactions are left out)"
+    reactions: [ReactionCount!]!
+    myReaction: ReactionType
+    mentions: [Mention!]!
     createdAt: String!
     updatedAt: String!
+    "Set when the comment has been edited"
+    editedAt: String
+    "Previous versions, newest first"
+    editHistory: [CommentRevision!]!
     replies: [Comment]
   }
 
+  enum ReactionType {
+    LIKE
+    LOVE
+    HAHA
+    WOW
+    SAD
+    ANGRY
+  }
+
+  type ReactionCount {
+    type: ReactionType!
+    count: Int!
+  }
+
+  type Reaction {
+    id: Int!
+    userId: Int!
+    user: User
+    type: ReactionType!
+    createdAt: String!
+  }
+
+  type ReactionsResponse {
+    reactions: [Reaction!]!
+    hasMore: Boolean!
+    nextCursor: Int
+  }
+
+  type ReactResponse {
+    success: Boolean!
+    message: String!
+    reactions: [ReactionCount!]
+    myReaction: ReactionType
+  }
+
+  "A resolved @mention - offset and length index into content (UTF-16 code units, including the @)"
+  type Mention {
+    userId: Int!
+    username: String!
+    offset: Int!
+    length: Int!
+  }
+
+  type CommentRevision {
+    id: Int!
+    content: String!
+    createdAt: String!
+  }
+
   type CommentsResponse {
     comments: [Comment!]!
     hasMore: Boolean!
@@ -40,13 +98,28 @@ const typeDefs = gql`
     comment: Comment
   }
 
+  type LikeCommentResponse {
+    success: Boolean!
+    message: String!
+    likeCount: Int
+    likedByMe: Boolean
+  }
+
   type Query {
     getComments(postId: Int!, limit: Int, cursor: Int): CommentsResponse!
+    "Who reacted, newest first - only one reaction type when type is given"
+    getCommentReactions(commentId: Int!, type: ReactionType, limit: Int, cursor: Int): ReactionsResponse!
   }
 
   type Mutation {
     createComment(input: CreateCommentInput!): CreateCommentResponse!
     deleteComment(id: Int!): CreateCommentResponse!
+    updateComment(id: Int!, content: String!): CreateCommentResponse!
+    likeComment(id: Int!): LikeCommentResponse!
+    unlikeComment(id: Int!): LikeCommentResponse!
+    "One reaction per user - reacting again with another type replaces it (LIKE is likeComment)"
+    reactToComment(commentId: Int!, type: ReactionType!): ReactResponse!
+    removeCommentReaction(commentId: Int!): ReactResponse!
   }
 
   type Subscription {
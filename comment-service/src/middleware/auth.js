@@ -0,0 +1,13 @@
+// Service-to-service authentication
+export function authenticateService(req, res, next) {
+  const serviceToken = req.headers["x-service-token"];
+
+  if (!serviceToken || serviceToken !== process.env.SERVICE_SECRET) {
+    return res.status(403).json({
+      success: false,
+      message: "Unauthorized service call",
+    });
+  }
+
+  next();
+}
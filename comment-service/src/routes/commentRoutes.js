@@ -1,6 +1,7 @@
 import express from "express";
 import prisma from "../lib/prisma.js";
-import { getUserById } from "../services/userService.js";
+import { createLoaders } from "../graphql/loaders.js";
+import { canViewPost } from "../services/postService.js";
 
 const router = express.Router();
 
@@ -10,6 +11,14 @@ router.get("/:postId", async (req, res) => {
     const { postId } = req.params;
     const limit = parseInt(req.query.limit) || 20;
     const cursor = req.query.cursor ? parseInt(req.query.cursor) : null;
+    const viewerId = parseInt(req.headers["x-user-id"]) || null;
+
+    if (!(await canViewPost(parseInt(postId), viewerId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
 
     const comments = await prisma.comment.findMany({
       where: {
@@ -27,23 +36,34 @@ router.get("/:postId", async (req, res) => {
     const hasMore = comments.length > limit;
     const commentsToReturn = hasMore ? comments.slice(0, -1) : comments;
 
+    const replies = await prisma.comment.findMany({
+      where: { parentCommentId: { in: commentsToReturn.map((comment) => comment.id) } },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const repliesByParent = new Map();
+    replies.forEach((reply) => {
+      const siblings = repliesByParent.get(reply.parentCommentId) || [];
+      siblings.push(reply);
+      repliesByParent.set(reply.parentCommentId, siblings);
+    });
+
+    // Same batched user lookups as the GraphQL API
+    const loaders = createLoaders();
+
     const commentsWithData = await Promise.all(
       commentsToReturn.map(async (comment) => {
-        const user = await getUserById(comment.userId);
-
-        const replies = await prisma.comment.findMany({
-          where: { parentCommentId: comment.id },
-          orderBy: { createdAt: "asc" },
-        });
+        const user = await loaders.user.load(comment.userId);
 
         const repliesWithUsers = await Promise.all(
-          replies.map(async (reply) => {
-            const replyUser = await getUserById(reply.userId);
+          (repliesByParent.get(comment.id) || []).map(async (reply) => {
+            const replyUser = await loaders.user.load(reply.userId);
             return {
               ...reply,
               user: replyUser,
               createdAt: reply.createdAt.toISOString(),
               updatedAt: reply.updatedAt.toISOString(),
+              editedAt: reply.editedAt?.toISOString() ?? null,
             };
           })
         );
@@ -53,6 +73,7 @@ router.get("/:postId", async (req, res) => {
           user,
           createdAt: comment.createdAt.toISOString(),
           updatedAt: comment.updatedAt.toISOString(),
+          editedAt: comment.editedAt?.toISOString() ?? null,
           replies: repliesWithUsers,
         };
       })
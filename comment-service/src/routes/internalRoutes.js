@@ -0,0 +1,38 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+import { authenticateService } from "../middleware/auth.js";
+
+const router = express.Router();
+
+const MAX_PAGE = 500;
+
+// Page through all comments in ID order (used by Post Service to rebuild its search index)
+router.get("/comments", authenticateService, async (req, res) => {
+  try {
+    const afterId = parseInt(req.query.afterId) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE);
+
+    const comments = await prisma.comment.findMany({
+      where: { id: { gt: afterId } },
+      select: { id: true, postId: true, userId: true, content: true, createdAt: true },
+      orderBy: { id: "asc" },
+      take: limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        nextAfterId: comments.length === limit ? comments[comments.length - 1].id : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error listing comments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list comments",
+    });
+  }
+});
+
+export default router;
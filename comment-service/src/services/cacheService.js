@@ -6,10 +6,12 @@ import { getRedisClient } from "../config/redis.js";
  * Cache Strategy:
  * - Post comments list: 2 minutes TTL (high read frequency, frequent updates)
  * - Single comment: 10 minutes TTL (less frequent access)
+ * - Users: 15 minutes TTL, dropped on user.updated (comment payloads never embed users)
  * 
  * Key Patterns (auto-prefixed with 'comment:'):
  * - post:{postId}:comments:{limit}:{cursor} → Comments list for a post
  * - single:{commentId} → Individual comment data
+ * - user:{userId} → Author data for the Comment.user field resolver
  */
 
 class CacheService {
@@ -18,12 +20,14 @@ class CacheService {
         this.TTL = {
             COMMENTS_LIST: 2 * 60, // 2 minutes
             SINGLE_COMMENT: 10 * 60, // 10 minutes
+            USER: 15 * 60, // 15 minutes
         };
 
         // Cache key prefixes (ioredis will auto-add 'comment:')
         this.KEYS = {
             POST_COMMENTS: "post:",
             SINGLE: "single:",
+            USER: "user:",
         };
     }
 
@@ -200,6 +204,55 @@ class CacheService {
         return true;
     }
 
+    /**
+     * Cache users for the Comment.user field resolver
+     */
+    async cacheUsers(users) {
+        try {
+            const redis = getRedisClient();
+            if (!redis || users.length === 0) return false;
+
+            const pipeline = redis.pipeline();
+            users.forEach((user) => {
+                pipeline.setex(`${this.KEYS.USER}${user.id}`, this.TTL.USER, JSON.stringify(user));
+            });
+            await pipeline.exec();
+            return true;
+        } catch (error) {
+            console.error("Cache SET error for users:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get cached users - returns Map(userId → user) of the cache hits
+     */
+    async getCachedUsers(userIds) {
+        try {
+            const redis = getRedisClient();
+            if (!redis || userIds.length === 0) return new Map();
+
+            const cached = await redis.mget(...userIds.map((userId) => `${this.KEYS.USER}${userId}`));
+            return new Map(
+                userIds
+                    .map((userId, index) => [userId, cached[index]])
+                    .filter(([, data]) => data)
+                    .map(([userId, data]) => [userId, JSON.parse(data)])
+            );
+        } catch (error) {
+            console.error("Cache GET error for users:", error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Invalidate a cached user (user.updated)
+     */
+    async invalidateUser(userId) {
+        const key = `${this.KEYS.USER}${userId}`;
+        await this.del(key);
+    }
+
     /**
      * Clear all comment-related caches
      * Use with caution - mainly for testing/maintenance
@@ -1,5 +1,6 @@
 import amqp from "amqplib";
 import prisma from "../lib/prisma.js";
+import cacheService from "./cacheService.js";
 
 let channel = null;
 
@@ -10,12 +11,16 @@ export async function initEventListener() {
     );
     channel = await connection.createChannel();
     await channel.assertExchange("posts", "topic", { durable: true });
+    await channel.assertExchange("users", "topic", { durable: true });
 
     const q = await channel.assertQueue("", { exclusive: true });
 
     // Subscribe to post deletion events
     channel.bindQueue(q.queue, "posts", "post.deleted");
 
+    // Subscribe to profile changes (user cache)
+    channel.bindQueue(q.queue, "users", "user.updated");
+
     channel.consume(q.queue, async (msg) => {
       if (msg) {
         try {
@@ -24,6 +29,8 @@ export async function initEventListener() {
 
           if (event.eventType === "post.deleted") {
             await handlePostDeleted(event.data);
+          } else if (event.eventType === "user.updated") {
+            await cacheService.invalidateUser(event.data.userId);
           }
 
           channel.ack(msg);
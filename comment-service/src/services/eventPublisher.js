@@ -10,6 +10,7 @@ export async function initEventPublisher() {
     channel = await connection.createChannel();
 
     await channel.assertExchange("comments", "topic", { durable: true });
+    await channel.assertExchange("likes", "topic", { durable: true });
 
     console.log("✅ RabbitMQ event publisher initialized");
   } catch (error) {
@@ -19,7 +20,7 @@ export async function initEventPublisher() {
   }
 }
 
-export async function publishEvent(eventType, data) {
+export async function publishEvent(eventType, data, exchange = "comments") {
   if (!channel) {
     console.error("❌ RabbitMQ channel not initialized");
     return;
@@ -33,7 +34,7 @@ export async function publishEvent(eventType, data) {
     };
 
     channel.publish(
-      "comments",
+      exchange,
       eventType,
       Buffer.from(JSON.stringify(event)),
       { persistent: true }
@@ -0,0 +1,11 @@
+import { resolveMentions as resolveMentionsWith } from "@newfeed/shared/utils/mentions.js";
+import { getUsersByUsernames } from "./userService.js";
+
+/**
+ * Resolve mentions in content against Auth Service
+ * Parsing lives in @newfeed/shared, so posts and comments find the same mentions
+ * Returns [{ userId, username, offset, length }] for existing users only
+ */
+export function resolveMentions(content) {
+  return resolveMentionsWith(content, getUsersByUsernames);
+}
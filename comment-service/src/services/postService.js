@@ -0,0 +1,24 @@
+import axios from "axios";
+
+const POST_SERVICE_URL =
+  process.env.POST_SERVICE_URL;
+
+// Whether a viewer (null when logged out) can see a post - fails closed
+export async function canViewPost(postId, viewerId) {
+  try {
+    const response = await axios.get(
+      `${POST_SERVICE_URL}/api/internal/posts/${postId}/access`,
+      {
+        params: { viewerId },
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data.canView;
+  } catch (error) {
+    console.error("Error checking post access:", error.message);
+    return false;
+  }
+}
@@ -0,0 +1,203 @@
+import prisma from "../lib/prisma.js";
+
+/**
+ * Comment reactions
+ * One reaction per user and comment; per-type totals live in comment_reaction_counts
+ * and change in the same transaction as the reaction row.
+ *
+ * LIKE is the like of likeComment: a LIKE reaction also writes comment_likes and
+ * comments.like_count in the same transaction (likedByMe and likeCount read those),
+ * so both views of a like always agree. Likes made before reactions existed only
+ * have the comment_likes row - they count as LIKE reactions too.
+ */
+
+// Thrown inside a transaction when another request changed the reaction first
+const CONFLICT = "REACTION_CONFLICT";
+
+const LIKE = "like";
+
+// Tie-break order of equal totals (the ReactionType enum order)
+const TYPE_ORDER = ["like", "love", "haha", "wow", "sad", "angry"];
+
+async function incrementCount(tx, commentId, type, by) {
+  if (by > 0) {
+    await tx.commentReactionCount.upsert({
+      where: { commentId_type: { commentId, type } },
+      create: { commentId, type, count: by },
+      update: { count: { increment: by } },
+    });
+  } else {
+    await tx.commentReactionCount.update({
+      where: { commentId_type: { commentId, type } },
+      data: { count: { decrement: -by } },
+    });
+  }
+}
+
+async function addLike(tx, commentId, userId) {
+  const { count } = await tx.commentLike.createMany({
+    data: [{ commentId, userId }],
+    skipDuplicates: true,
+  });
+  if (count === 0) throw new Error(CONFLICT);
+
+  await tx.comment.update({
+    where: { id: commentId },
+    data: { likeCount: { increment: 1 } },
+  });
+}
+
+async function deleteLike(tx, commentId, userId) {
+  const { count } = await tx.commentLike.deleteMany({
+    where: { commentId, userId },
+  });
+  if (count === 0) throw new Error(CONFLICT);
+
+  await tx.comment.update({
+    where: { id: commentId },
+    data: { likeCount: { decrement: 1 } },
+  });
+}
+
+// A user's reaction row and like row, and the reaction type they stand for
+async function findCurrent(tx, commentId, userId) {
+  const reaction = await tx.commentReaction.findUnique({
+    where: { commentId_userId: { commentId, userId } },
+  });
+  const like = await tx.commentLike.findUnique({
+    where: { commentId_userId: { commentId, userId } },
+  });
+
+  return { reaction, like, type: reaction?.type ?? (like ? LIKE : null) };
+}
+
+/**
+ * Set a user's reaction - reacting again with another type replaces it
+ * Returns { changed, previousType } (previousType is null for a new reaction)
+ */
+export async function setCommentReaction(commentId, userId, type) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { reaction, like, type: previousType } = await findCurrent(tx, commentId, userId);
+
+      if (previousType === type) {
+        return { changed: false, previousType: type };
+      }
+
+      if (reaction) {
+        // Only succeeds if the reaction still has the type the counters are based on
+        const { count } = await tx.commentReaction.updateMany({
+          where: { id: reaction.id, type: reaction.type },
+          data: { type },
+        });
+        if (count === 0) throw new Error(CONFLICT);
+
+        await incrementCount(tx, commentId, reaction.type, -1);
+      } else {
+        await tx.commentReaction.create({
+          data: { commentId, userId, type },
+        });
+      }
+
+      await incrementCount(tx, commentId, type, 1);
+
+      if (like) await deleteLike(tx, commentId, userId);
+      if (type === LIKE) await addLike(tx, commentId, userId);
+
+      return { changed: true, previousType };
+    });
+  } catch (error) {
+    // Lost a race with another reaction of the same user - theirs stands
+    if (error.message === CONFLICT || error.code === "P2002") {
+      return { changed: false, previousType: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a user's reaction - with onlyType, only when it has that type (unlikeComment)
+ * Returns the removed type or null
+ */
+export async function removeCommentReaction(commentId, userId, onlyType = null) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { reaction, like, type } = await findCurrent(tx, commentId, userId);
+      if (!type || (onlyType && type !== onlyType)) return null;
+
+      if (reaction) {
+        const { count } = await tx.commentReaction.deleteMany({
+          where: { id: reaction.id, type: reaction.type },
+        });
+        if (count === 0) throw new Error(CONFLICT);
+
+        await incrementCount(tx, commentId, reaction.type, -1);
+      }
+
+      if (like) await deleteLike(tx, commentId, userId);
+
+      return type;
+    });
+  } catch (error) {
+    // Removed by a concurrent request
+    if (error.message === CONFLICT) return null;
+    throw error;
+  }
+}
+
+/**
+ * Reaction totals of a comment, most used first: [{ type, count }]
+ * The LIKE total is the comment's likeCount, which includes likes from before reactions
+ */
+export async function getCommentReactionCounts(commentId, likeCount) {
+  const [counts] = await getReactionCountsByCommentIds([commentId]);
+
+  return withLikeCount(counts, likeCount);
+}
+
+/**
+ * Batch lookup for DataLoader - reaction totals of each comment, in order, without LIKE
+ * (complete them with withLikeCount)
+ */
+export async function getReactionCountsByCommentIds(commentIds) {
+  const counts = await prisma.commentReactionCount.findMany({
+    where: { commentId: { in: commentIds }, type: { not: LIKE }, count: { gt: 0 } },
+  });
+
+  return commentIds.map((commentId) => counts.filter((count) => count.commentId === commentId));
+}
+
+// Add the LIKE total and sort, most used first
+export function withLikeCount(counts, likeCount) {
+  return [...counts, { type: LIKE, count: likeCount }]
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => b.count - a.count || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type))
+    .map(({ type, count }) => ({ type: type.toUpperCase(), count }));
+}
+
+export async function getMyCommentReaction(commentId, userId) {
+  const [type] = await getReactionsOfUser(userId, [commentId]);
+
+  return type;
+}
+
+/**
+ * Batch lookup for DataLoader - a user's reaction type on each comment, in order (null for none)
+ */
+export async function getReactionsOfUser(userId, commentIds) {
+  const [reactions, likes] = await Promise.all([
+    prisma.commentReaction.findMany({
+      where: { userId, commentId: { in: commentIds } },
+      select: { commentId: true, type: true },
+    }),
+    prisma.commentLike.findMany({
+      where: { userId, commentId: { in: commentIds } },
+      select: { commentId: true },
+    }),
+  ]);
+
+  const types = new Map(likes.map((like) => [like.commentId, LIKE]));
+  reactions.forEach((reaction) => types.set(reaction.commentId, reaction.type));
+
+  return commentIds.map((commentId) => types.get(commentId)?.toUpperCase() ?? null);
+}
@@ -1,8 +1,20 @@
 import axios from "axios";
+import cacheService from "./cacheService.js";
 
 const AUTH_SERVICE_URL =
   process.env.AUTH_SERVICE_URL;
 
+// Stand-in when a user cannot be loaded
+function unknownUser(userId) {
+  return {
+    id: userId,
+    username: "Unknown",
+    email: "unknown@example.com",
+    fullName: null,
+    avatarUrl: null,
+  };
+}
+
 export async function getUserById(userId) {
   try {
     const response = await axios.get(
@@ -17,14 +29,36 @@ export async function getUserById(userId) {
     return response.data.data;
   } catch (error) {
     console.error("Error fetching user:", error);
-    return {
-      id: userId,
-      username: "Unknown",
-      email: "unknown@example.com",
-      fullName: null,
-      avatarUrl: null,
-    };
+    return unknownUser(userId);
+  }
+}
+
+// Batch lookup for DataLoader - one user per ID, in order (placeholders for unknown IDs)
+// Served from the user cache; misses are fetched from Auth Service in one call
+export async function getUsersByIds(userIds) {
+  const users = await cacheService.getCachedUsers(userIds);
+  const missingIds = userIds.filter((userId) => !users.has(userId));
+
+  if (missingIds.length > 0) {
+    try {
+      const response = await axios.post(
+        `${AUTH_SERVICE_URL}/api/internal/users/batch`,
+        { ids: missingIds },
+        {
+          headers: {
+            "X-Service-Token": process.env.SERVICE_SECRET,
+          },
+        }
+      );
+
+      response.data.data.forEach((user) => users.set(user.id, user));
+      await cacheService.cacheUsers(response.data.data);
+    } catch (error) {
+      console.error("Error fetching users:", error);
+    }
   }
+
+  return userIds.map((userId) => users.get(userId) ?? unknownUser(userId));
 }
 
 export async function authenToken(token) {
@@ -47,3 +81,25 @@ export async function authenToken(token) {
     return { valid: false, error: error.message };
   }
 }
+
+// Resolve usernames to { id, username } - unknown usernames are left out
+export async function getUsersByUsernames(usernames) {
+  if (usernames.length === 0) return [];
+
+  try {
+    const response = await axios.post(
+      `${AUTH_SERVICE_URL}/api/internal/users/by-username`,
+      { usernames },
+      {
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error("Error resolving usernames:", error.message);
+    return [];
+  }
+}
@@ -1,4 +1,6 @@
 import amqp from "amqplib";
+import { addReaction, removeReaction } from "./reactionAggregator.js";
+import { getFollowerIds } from "./userService.js";
 
 let channel = null;
 
@@ -13,6 +15,7 @@ export async function initEventListener(io) {
     await channel.assertExchange("comments", "topic", { durable: true });
     await channel.assertExchange("posts", "topic", { durable: true });
     await channel.assertExchange("likes", "topic", { durable: true });
+    await channel.assertExchange("users", "topic", { durable: true });
 
     const q = await channel.assertQueue("", { exclusive: true });
 
@@ -20,14 +23,26 @@ export async function initEventListener(io) {
     channel.bindQueue(q.queue, "comments", "comment.created");
     channel.bindQueue(q.queue, "comments", "comment.updated");
     channel.bindQueue(q.queue, "comments", "comment.deleted");
+    channel.bindQueue(q.queue, "comments", "comment.mentioned");
+    channel.bindQueue(q.queue, "comments", "comment.reacted");
+    channel.bindQueue(q.queue, "comments", "comment.unreacted");
 
     // Subscribe to post events
     channel.bindQueue(q.queue, "posts", "post.created");
     channel.bindQueue(q.queue, "posts", "post.liked");
+    channel.bindQueue(q.queue, "posts", "post.shared");
+    channel.bindQueue(q.queue, "posts", "post.mentioned");
+    channel.bindQueue(q.queue, "posts", "post.reacted");
+    channel.bindQueue(q.queue, "posts", "post.unreacted");
+    channel.bindQueue(q.queue, "posts", "poll.closed");
 
     // Subscribe to like events
     channel.bindQueue(q.queue, "likes", "like.created");
 
+    // Subscribe to follow events
+    channel.bindQueue(q.queue, "users", "user.followed");
+    channel.bindQueue(q.queue, "users", "user.follow_requested");
+
     channel.consume(q.queue, async (msg) => {
       if (msg) {
         try {
@@ -66,14 +81,55 @@ async function handleEvent(io, event) {
       handleCommentDeleted(io, data);
       break;
     case "post.created":
-      handlePostCreated(io, data);
+      await handlePostCreated(io, data);
       break;
     case "post.liked":
       handlePostLiked(io, data);
       break;
+    case "post.shared":
+      handlePostShared(io, data);
+      break;
+    case "post.mentioned":
+      handleMentioned(io, data, "a post");
+      break;
+    case "comment.mentioned":
+      handleMentioned(io, data, "a comment");
+      break;
+    case "post.reacted":
+      addReaction(io, {
+        authorId: data.postAuthorId,
+        target: "post",
+        targetId: data.postId,
+        postId: data.postId,
+        ...data,
+      });
+      break;
+    case "post.unreacted":
+      removeReaction({ authorId: data.postAuthorId, target: "post", targetId: data.postId, ...data });
+      break;
+    case "comment.reacted":
+      addReaction(io, {
+        authorId: data.commentAuthorId,
+        target: "comment",
+        targetId: data.commentId,
+        ...data,
+      });
+      break;
+    case "comment.unreacted":
+      removeReaction({ authorId: data.commentAuthorId, target: "comment", targetId: data.commentId, ...data });
+      break;
+    case "poll.closed":
+      handlePollClosed(io, data);
+      break;
     case "like.created":
       handleLikeCreated(io, data);
       break;
+    case "user.followed":
+      handleUserFollowed(io, data);
+      break;
+    case "user.follow_requested":
+      handleFollowRequested(io, data);
+      break;
     default:
       console.log(`Unknown event type: ${eventType}`);
   }
@@ -125,22 +181,34 @@ function handleCommentDeleted(io, data) {
   console.log(`✅ Sent comment deletion for post ${postId}`);
 }
 
-function handlePostCreated(io, data) {
-  const { post, followers } = data;
+// Followers are paged from Auth Service - the event only names the author
+async function handlePostCreated(io, data) {
+  const { postId, userId, authorName, visibility } = data;
+
+  // Private posts are only visible to their author
+  if (visibility === "private") return;
+
+  let notified = 0;
+  let cursor = null;
 
-  // Notify followers about new post
-  if (followers && followers.length > 0) {
-    followers.forEach((followerId) => {
+  do {
+    const page = await getFollowerIds(userId, cursor);
+    if (!page) break;
+
+    page.ids.forEach((followerId) => {
       io.to(`user:${followerId}`).emit("notification", {
         type: "new_post",
-        message: `${post.authorName} created a new post`,
-        data: post,
+        message: `${authorName} created a new post`,
+        data: { postId, userId },
         createdAt: new Date(),
       });
     });
-  }
 
-  console.log(`✅ Sent new post notification to ${followers?.length || 0} followers`);
+    notified += page.ids.length;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  console.log(`✅ Sent new post notification to ${notified} followers`);
 }
 
 function handlePostLiked(io, data) {
@@ -159,6 +227,52 @@ function handlePostLiked(io, data) {
   console.log(`✅ Sent post like notification for post ${postId}`);
 }
 
+function handlePostShared(io, data) {
+  const { postId, originalPostId, postAuthorId, sharedBy, sharedByName, isQuote } = data;
+
+  // Notify original author about repost or quote
+  if (postAuthorId && sharedBy !== postAuthorId) {
+    io.to(`user:${postAuthorId}`).emit("notification", {
+      type: isQuote ? "post_quoted" : "post_reposted",
+      message: `${sharedByName} ${isQuote ? "quoted" : "reposted"} your post`,
+      data: { postId, originalPostId, sharedBy },
+      createdAt: new Date(),
+    });
+  }
+
+  console.log(`✅ Sent post share notification for post ${originalPostId}`);
+}
+
+function handleMentioned(io, data, target) {
+  const { postId, commentId, mentionedUserIds, mentionedBy, mentionedByName } = data;
+
+  // Notify every tagged user
+  mentionedUserIds.forEach((userId) => {
+    io.to(`user:${userId}`).emit("notification", {
+      type: "mention",
+      message: `${mentionedByName} mentioned you in ${target}`,
+      data: { postId, commentId, mentionedBy },
+      createdAt: new Date(),
+    });
+  });
+
+  console.log(`✅ Sent mention notification to ${mentionedUserIds.length} users`);
+}
+
+function handlePollClosed(io, data) {
+  const { postId, pollId, postAuthorId, totalVotes } = data;
+
+  // Notify poll author about final results
+  io.to(`user:${postAuthorId}`).emit("notification", {
+    type: "poll_closed",
+    message: `Your poll has ended with ${totalVotes} ${totalVotes === 1 ? "vote" : "votes"}`,
+    data: { postId, pollId, totalVotes },
+    createdAt: new Date(),
+  });
+
+  console.log(`✅ Sent poll closed notification for post ${postId}`);
+}
+
 function handleLikeCreated(io, data) {
   const { commentId, commentAuthorId, likedBy, likedByName } = data;
 
@@ -174,3 +288,31 @@ function handleLikeCreated(io, data) {
 
   console.log(`✅ Sent comment like notification for comment ${commentId}`);
 }
+
+function handleUserFollowed(io, data) {
+  const { followerId, followingId, followerName } = data;
+
+  // Notify the followed user
+  io.to(`user:${followingId}`).emit("notification", {
+    type: "new_follower",
+    message: `${followerName} started following you`,
+    data: { followerId },
+    createdAt: new Date(),
+  });
+
+  console.log(`✅ Sent new follower notification to user ${followingId}`);
+}
+
+function handleFollowRequested(io, data) {
+  const { followerId, followingId, followerName } = data;
+
+  // Notify the private account owner about the pending request
+  io.to(`user:${followingId}`).emit("notification", {
+    type: "follow_request",
+    message: `${followerName} requested to follow you`,
+    data: { followerId },
+    createdAt: new Date(),
+  });
+
+  console.log(`✅ Sent follow request notification to user ${followingId}`);
+}
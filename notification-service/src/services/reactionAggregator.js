@@ -0,0 +1,83 @@
+// Reactions arrive in bursts, so they are collected per post/comment for a short window
+// and sent to the author as one notification ("alice and 3 others reacted to your post")
+const AGGREGATION_WINDOW =
+  (parseInt(process.env.REACTION_AGGREGATION_WINDOW) || 30) * 1000;
+
+// `${authorId}:${target}:${targetId}` → pending notification
+const pending = new Map();
+
+function pendingKey(authorId, target, targetId) {
+  return `${authorId}:${target}:${targetId}`;
+}
+
+/**
+ * Add a reaction to the author's pending notification (starts the window if needed)
+ * target: "post" | "comment"
+ */
+export function addReaction(io, { authorId, target, targetId, postId, reactedBy, reactedByName, type }) {
+  // Reacting to your own post or comment is not notified
+  if (!authorId || reactedBy === authorId) return;
+
+  const key = pendingKey(authorId, target, targetId);
+  let entry = pending.get(key);
+
+  if (!entry) {
+    entry = {
+      authorId,
+      target,
+      targetId,
+      postId,
+      reactors: new Map(),
+    };
+    pending.set(key, entry);
+    setTimeout(() => flush(io, key), AGGREGATION_WINDOW);
+  }
+
+  // Latest reaction of a user wins and moves them to the front
+  entry.reactors.delete(reactedBy);
+  entry.reactors.set(reactedBy, { name: reactedByName, type });
+}
+
+/**
+ * Drop a reaction that was removed before its notification was sent
+ */
+export function removeReaction({ authorId, target, targetId, reactedBy }) {
+  pending.get(pendingKey(authorId, target, targetId))?.reactors.delete(reactedBy);
+}
+
+function flush(io, key) {
+  const entry = pending.get(key);
+  pending.delete(key);
+  if (!entry || entry.reactors.size === 0) return;
+
+  const reactors = [...entry.reactors.entries()].reverse();
+  const names = reactors.map(([, reactor]) => reactor.name);
+
+  const counts = {};
+  reactors.forEach(([, reactor]) => {
+    counts[reactor.type] = (counts[reactor.type] || 0) + 1;
+  });
+
+  let who;
+  if (names.length === 1) {
+    who = names[0];
+  } else if (names.length === 2) {
+    who = `${names[0]} and ${names[1]}`;
+  } else {
+    who = `${names[0]} and ${names.length - 1} others`;
+  }
+
+  io.to(`user:${entry.authorId}`).emit("notification", {
+    type: entry.target === "post" ? "post_reactions" : "comment_reactions",
+    message: `${who} reacted to your ${entry.target}`,
+    data: {
+      postId: entry.postId,
+      ...(entry.target === "comment" && { commentId: entry.targetId }),
+      counts,
+      userIds: reactors.map(([userId]) => userId),
+    },
+    createdAt: new Date(),
+  });
+
+  console.log(`✅ Sent ${reactors.length} aggregated reactions for ${entry.target} ${entry.targetId}`);
+}
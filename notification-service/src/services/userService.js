@@ -0,0 +1,27 @@
+import axios from "axios";
+
+const AUTH_SERVICE_URL =
+  process.env.AUTH_SERVICE_URL;
+
+/**
+ * One page of a user's follower IDs: { ids, followerCount, nextCursor }
+ * Returns null when Auth Service is unavailable
+ */
+export async function getFollowerIds(userId, cursor = null) {
+  try {
+    const response = await axios.get(
+      `${AUTH_SERVICE_URL}/api/internal/users/${userId}/follower-ids`,
+      {
+        params: { cursor },
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error("Error fetching follower IDs:", error.message);
+    return null;
+  }
+}
@@ -0,0 +1,38 @@
+import "dotenv/config";
+import prisma from "../src/lib/prisma.js";
+import searchService from "../src/services/searchService.js";
+
+/**
+ * Rebuild the search index from the source data
+ *
+ * Usage: npm run reindex-search [-- post comment user]
+ * Without arguments every type is indexed. Safe to run while the service is up:
+ * documents are upserted, so events arriving meanwhile are not lost.
+ */
+
+const REINDEXERS = {
+  post: () => searchService.reindexPosts(),
+  comment: () => searchService.reindexComments(),
+  user: () => searchService.reindexUsers(),
+};
+
+async function main() {
+  const types = process.argv.slice(2);
+  const unknown = types.filter((type) => !REINDEXERS[type]);
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown type ${unknown.join(", ")} (expected post, comment or user)`);
+  }
+
+  for (const type of types.length > 0 ? types : Object.keys(REINDEXERS)) {
+    const count = await REINDEXERS[type]();
+    console.log(`✅ Indexed ${count} ${type} documents`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Search reindex failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -6,7 +6,11 @@ import { expressMiddleware } from "@apollo/server/express4";
 import bodyParser from "body-parser";
 import typeDefs from "./graphql/schema.js";
 import resolvers from "./graphql/resolvers.js";
+import { createLoaders } from "./graphql/loaders.js";
+import internalRoutes from "./routes/internalRoutes.js";
 import { createRedisClient } from "./config/redis.js";
+import { initEventListener } from "./services/eventListener.js";
+import schedulerService from "./services/schedulerService.js";
 
 const app = express();
 
@@ -22,6 +26,9 @@ app.use(
 );
 app.use(express.json());
 
+// Internal routes (service-to-service)
+app.use("/api/internal", internalRoutes);
+
 // Apollo Server
 const apolloServer = new ApolloServer({
   typeDefs,
@@ -40,14 +47,17 @@ async function startServer() {
         // User info from API Gateway headers
         const userId = req.headers["x-user-id"];
         const userEmail = req.headers["x-user-email"];
+        const emailVerified = req.headers["x-user-verified"] === "true";
 
         return {
           user: userId
             ? {
               userId: parseInt(userId),
               email: userEmail,
+              emailVerified,
             }
             : null,
+          loaders: createLoaders({ viewerId: userId ? parseInt(userId) : null }),
         };
       },
     })
@@ -73,6 +83,12 @@ async function startServer() {
 
   const PORT = process.env.PORT;
   app.listen(PORT, () => {
+    // Initialize timeline fan-out consumer
+    initEventListener();
+
+    // Publish scheduled drafts (safe to run on every replica)
+    schedulerService.start();
+
     console.log(`📝 Post Service running on port ${PORT}`);
     console.log(
       `🔗 GraphQL endpoint: http://localhost:${PORT}${apolloServer.graphqlPath}`
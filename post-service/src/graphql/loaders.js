@@ -0,0 +1,67 @@
+import DataLoader from "dataloader";
+import prisma from "../lib/prisma.js";
+import { getUsersByIds } from "../services/userService.js";
+import { getReactionCountsByPostIds, getReactionsOfUser } from "../services/reactionService.js";
+
+// Auth Service answers at most this many users per batch call
+const MAX_USER_BATCH = 100;
+
+// Rows of a batch query grouped into one list per key, in key order
+function groupBy(keys, rows, keyOf) {
+  const groups = new Map(keys.map((key) => [key, []]));
+  rows.forEach((row) => groups.get(keyOf(row))?.push(row));
+  return keys.map((key) => groups.get(key));
+}
+
+async function getHashtagsByPostIds(postIds) {
+  const links = await prisma.postHashtag.findMany({
+    where: { postId: { in: postIds } },
+    include: { hashtag: true },
+  });
+
+  return groupBy(postIds, links, (link) => link.postId)
+    .map((postLinks) => postLinks.map((link) => link.hashtag.name));
+}
+
+async function getMentionsByPostIds(postIds) {
+  const mentions = await prisma.postMention.findMany({
+    where: { postId: { in: postIds } },
+    select: { postId: true, userId: true, username: true, offset: true, length: true },
+    orderBy: { offset: "asc" },
+  });
+
+  return groupBy(postIds, mentions, (mention) => mention.postId);
+}
+
+// Whether the viewer has a row for each post (likes, bookmarks)
+async function hasRowsOfUser(model, userId, postIds) {
+  const rows = await prisma[model].findMany({
+    where: { userId, postId: { in: postIds } },
+    select: { postId: true },
+  });
+
+  const found = new Set(rows.map((row) => row.postId));
+  return postIds.map((postId) => found.has(postId));
+}
+
+/**
+ * Per-request DataLoaders - created for every GraphQL operation, so lookups made
+ * while resolving one response are batched and deduplicated but never shared
+ * between requests
+ *
+ * The per-viewer loaders (myReaction, likedByMe, savedByMe) answer for viewerId and
+ * are only created for logged in requests
+ */
+export function createLoaders({ viewerId = null } = {}) {
+  return {
+    user: new DataLoader(getUsersByIds, { maxBatchSize: MAX_USER_BATCH }),
+    reactionCounts: new DataLoader(getReactionCountsByPostIds),
+    hashtags: new DataLoader(getHashtagsByPostIds),
+    mentions: new DataLoader(getMentionsByPostIds),
+    ...(viewerId && {
+      myReaction: new DataLoader((postIds) => getReactionsOfUser(viewerId, postIds)),
+      likedByMe: new DataLoader((postIds) => hasRowsOfUser("postLike", viewerId, postIds)),
+      savedByMe: new DataLoader((postIds) => hasRowsOfUser("bookmark", viewerId, postIds)),
+    }),
+  };
+}
@@ -1,182 +1,1781 @@
+import { Prisma } from "@prisma/client";
 import prisma from "../lib/prisma.js";
 import { getUserById } from "../services/userService.js";
+import { resolveMentions } from "../services/mentionService.js";
+import {
+  createPublishedPost,
+  draftToPostInput,
+  validatePostInput,
+  findShareTarget,
+  publishShareEvent,
+  publishMentionEvent,
+} from "../services/postPublisher.js";
 import { publishEvent } from "../services/eventPublisher.js";
 import cacheService from "../services/cacheService.js";
+import timelineService from "../services/timelineService.js";
+import feedRankingService from "../services/feedRankingService.js";
+import hashtagService from "../services/hashtagService.js";
+import pollService from "../services/pollService.js";
+import linkPreviewService from "../services/linkPreviewService.js";
+import searchService from "../services/searchService.js";
+import {
+  setPostReaction,
+  removePostReaction,
+  getPostReactionCounts,
+  getMyPostReaction,
+  withLikeCount,
+} from "../services/reactionService.js";
+import { canViewPost, isPublicPost, getVisibleLevels } from "../services/visibilityService.js";
+
+const MAX_QUOTE_DEPTH = 2; // Nested quote posts resolved below a post
+const MAX_COLLECTION_NAME = 50;
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000; // Drafts can be scheduled up to a year ahead
+const REVISED_FIELDS = ["content", "mediaUrls", "location"]; // Edits kept in the edit history
+
+// Serialize a post row for GraphQL and the cache
+// The author is not embedded - Post.user resolves it per request
+function formatPost(post) {
+  return {
+    ...post,
+    postType: post.postType.toUpperCase(),
+    mediaUrls: post.mediaUrls
+      ? JSON.parse(JSON.stringify(post.mediaUrls))
+      : [],
+    createdAt: post.createdAt.toISOString(),
+    updatedAt: post.updatedAt.toISOString(),
+    editedAt: post.editedAt?.toISOString() ?? null,
+    pinnedAt: post.pinnedAt?.toISOString() ?? null,
+  };
+}
+
+// Load a user through the request's DataLoader (batched), or directly outside GraphQL
+function loadUser(userId, loaders) {
+  return loaders ? loaders.user.load(userId) : getUserById(userId);
+}
+
+// Fetch one page of posts (newest first)
+async function fetchFeedPage(where, limit, cursor) {
+  const posts = await prisma.post.findMany({
+    where,
+    take: limit + 1,
+    ...(cursor && {
+      cursor: { id: cursor },
+      skip: 1,
+    }),
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+
+  const hasMore = posts.length > limit;
+  const postsToReturn = hasMore ? posts.slice(0, -1) : posts;
+
+  return {
+    posts: postsToReturn.map(formatPost),
+    hasMore,
+    nextCursor: hasMore
+      ? postsToReturn[postsToReturn.length - 1].id
+      : null,
+  };
+}
+
+// One page of posts anyone may see - shared lists are identical for every viewer
+async function fetchPublicFeedPage(where, limit, cursor, loaders) {
+  const page = await fetchFeedPage({ ...where, visibility: "public" }, limit, cursor);
+  const authors = await Promise.all(page.posts.map((post) => loadUser(post.userId, loaders)));
+
+  // Posts of private accounts are left out (pages may come back shorter than limit)
+  return {
+    ...page,
+    posts: page.posts.filter((post, index) => isPublicPost(post, authors[index])),
+  };
+}
+
+// Load a single post through the post cache
+async function loadPost(id) {
+  // Try cache first
+  const cached = await cacheService.getCachedPost(id);
+  if (cached) {
+    console.log(`✅ Cache HIT for post:${id}`);
+    return cached;
+  }
+
+  console.log(`⚠️ Cache MISS for post:${id}`);
+
+  const post = await prisma.post.findUnique({
+    where: { id },
+  });
+
+  if (!post) {
+    return null;
+  }
+
+  const result = formatPost(post);
+
+  // Cache the result (15 minutes TTL)
+  await cacheService.cachePost(id, result);
+
+  return result;
+}
+
+// Load a post only when the viewer is allowed to see it
+async function loadVisiblePost(id, viewerId, loaders) {
+  const post = await loadPost(id);
+  if (!post || post.isHidden) return null;
+
+  const visible = await canViewPost(post, viewerId, (userId) => loadUser(userId, loaders));
+  return visible ? post : null;
+}
+
+// Delete a post together with its plain reposts and release its share on the original
+async function removePostWithReposts(post) {
+  const originalId = post.repostOfId || post.quotedPostId;
+
+  // Reposts are removed by the database cascade - collect them for cleanup
+  const reposts = await prisma.post.findMany({
+    where: { repostOfId: post.id },
+    select: { id: true, userId: true },
+  });
+
+  const hashtagChanges = await prisma.$transaction(async (tx) => {
+    // Releases the post's hashtags so their post counts stay accurate
+    const changes = await hashtagService.syncPostHashtags(tx, post.id, null);
+
+    await tx.post.delete({
+      where: { id: post.id },
+    });
+    if (originalId) {
+      await tx.post.updateMany({
+        where: { id: originalId },
+        data: { shareCount: { decrement: 1 } },
+      });
+    }
+
+    return changes;
+  });
+
+  await hashtagService.recordUsage(post, hashtagChanges);
+
+  // Invalidate caches
+  await cacheService.invalidatePost(post.id);
+  if (originalId) {
+    await cacheService.invalidateCachedPost(originalId);
+  }
+
+  for (const removed of [post, ...reposts]) {
+    if (removed !== post) {
+      await cacheService.invalidateCachedPost(removed.id);
+    }
+
+    // Publish event
+    await publishEvent("post.deleted", {
+      postId: removed.id,
+      userId: removed.userId,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+function formatDraft(draft) {
+  return {
+    ...draftToPostInput(draft),
+    id: draft.id,
+    publishAt: draft.publishAt?.toISOString() ?? null,
+    lastError: draft.lastError,
+    createdAt: draft.createdAt.toISOString(),
+    updatedAt: draft.updatedAt.toISOString(),
+  };
+}
+
+function formatCollection(collection) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    postCount: collection._count.bookmarks,
+    createdAt: collection.createdAt.toISOString(),
+  };
+}
+
+// Trimmed collection name, or null when it is empty or too long
+function parseCollectionName(name) {
+  const trimmed = name?.trim();
+  return trimmed && trimmed.length <= MAX_COLLECTION_NAME ? trimmed : null;
+}
+
+// Notify the author of a new like (likePost and LIKE reactions)
+async function publishLike(post, userId) {
+  const user = await getUserById(userId);
+
+  await publishEvent("post.liked", {
+    postId: post.id,
+    postAuthorId: post.userId,
+    likedBy: userId,
+    likedByName: user?.username || "Someone",
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Current like total of a post (read after a change, never from the post cache)
+async function getLikeCount(postId) {
+  const post = await prisma.post.findUnique({
+    where: { id: postId },
+    select: { likeCount: true },
+  });
+  return post?.likeCount ?? null;
+}
+
+// Number of quotedPost fields on the query path down to this field
+function quoteDepth(path) {
+  let depth = 0;
+  for (let node = path; node; node = node.prev) {
+    if (node.key === "quotedPost") depth++;
+  }
+  return depth;
+}
 
 const resolvers = {
   Query: {
-    getNewsFeed: async (_, { limit = 10, cursor }, context) => {
+    // Home feed: posts from accounts the viewer follows plus their own
+    getNewsFeed: async (_, { limit = 10, cursor, mode = "LATEST", rankedCursor }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const viewerId = context.user.userId;
+
+      try {
+        let ids, hasMore, nextCursor = null, nextRankedCursor = null;
+        if (mode === "TOP") {
+          // Ranked snapshot - the cursor names the snapshot and the position in it
+          ({ ids, hasMore, nextCursor: nextRankedCursor } =
+            await feedRankingService.getRankedPage(viewerId, limit, rankedCursor));
+        } else {
+          ({ ids, hasMore } = await timelineService.getHomePage(viewerId, limit, cursor));
+          nextCursor = hasMore ? ids[ids.length - 1] : null;
+        }
+
+        // Hydrate post IDs through the single-post cache
+        const posts = await Promise.all(ids.map((id) => loadPost(id)));
+
+        // Posts deleted since they were pushed are dropped from the timeline
+        const missingIds = ids.filter((id, index) => !posts[index]);
+        if (missingIds.length > 0) {
+          await Promise.all(
+            missingIds.map((id) => timelineService.removeFromTimelines([viewerId], id))
+          );
+        }
+
+        // Timelines only hold the viewer's and followed accounts' posts,
+        // so the remaining check is for posts other authors made private
+        return {
+          posts: posts.filter(
+            (post) =>
+              post &&
+              !post.isHidden &&
+              (post.userId === viewerId || post.visibility !== "private")
+          ),
+          hasMore,
+          nextCursor,
+          nextRankedCursor,
+        };
+      } catch (error) {
+        console.error("Error fetching news feed:", error);
+        throw new Error("Failed to fetch news feed");
+      }
+    },
+
+    // Global feed: every visible post, identical for every viewer
+    getGlobalFeed: async (_, { limit = 10, cursor }, context) => {
       try {
         // Try cache first
-        const cached = await cacheService.getCachedNewsFeed(limit, cursor);
+        const cached = await cacheService.getCachedGlobalFeed(limit, cursor);
         if (cached) {
-          console.log(`✅ Cache HIT for newsfeed:${limit}:${cursor || 'first'}`);
+          console.log(`✅ Cache HIT for newsfeed:global:${limit}:${cursor || 'first'}`);
           return cached;
         }
 
-        console.log(`⚠️ Cache MISS for newsfeed:${limit}:${cursor || 'first'}`);
+        console.log(`⚠️ Cache MISS for newsfeed:global:${limit}:${cursor || 'first'}`);
+
+        const result = await fetchPublicFeedPage({ isHidden: false }, limit, cursor, context.loaders);
+
+        // Cache the result (2 minutes TTL)
+        await cacheService.cacheGlobalFeed(limit, cursor, result);
+
+        return result;
+      } catch (error) {
+        console.error("Error fetching global feed:", error);
+        throw new Error("Failed to fetch global feed");
+      }
+    },
+
+    getPostLikes: async (_, { postId, limit = 20, cursor }, context) => {
+      try {
+        const post = await loadVisiblePost(postId, context.user?.userId, context.loaders);
+
+        if (!post) {
+          throw new Error("Post not found");
+        }
+
+        const likes = await prisma.postLike.findMany({
+          where: { postId },
+          take: limit + 1,
+          ...(cursor && {
+            cursor: { id: cursor },
+            skip: 1,
+          }),
+          orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        });
+
+        const hasMore = likes.length > limit;
+        const likesToReturn = hasMore ? likes.slice(0, -1) : likes;
+
+        const users = await Promise.all(
+          likesToReturn.map((like) => context.loaders.user.load(like.userId))
+        );
+
+        return {
+          users,
+          hasMore,
+          nextCursor: hasMore
+            ? likesToReturn[likesToReturn.length - 1].id
+            : null,
+        };
+      } catch (error) {
+        console.error("Error fetching post likes:", error);
+        throw new Error("Failed to fetch post likes");
+      }
+    },
+
+    getPostReactions: async (_, { postId, type, limit = 20, cursor }, context) => {
+      try {
+        const post = await loadVisiblePost(postId, context.user?.userId, context.loaders);
+
+        if (!post) {
+          throw new Error("Post not found");
+        }
+
+        const reactions = await prisma.postReaction.findMany({
+          where: {
+            postId,
+            ...(type && { type: type.toLowerCase() }),
+          },
+          take: limit + 1,
+          ...(cursor && {
+            cursor: { id: cursor },
+            skip: 1,
+          }),
+          orderBy: { id: "desc" },
+        });
+
+        const hasMore = reactions.length > limit;
+        const reactionsToReturn = hasMore ? reactions.slice(0, -1) : reactions;
+
+        const reactionsWithUsers = await Promise.all(
+          reactionsToReturn.map(async (reaction) => ({
+            id: reaction.id,
+            userId: reaction.userId,
+            user: await context.loaders.user.load(reaction.userId),
+            type: reaction.type.toUpperCase(),
+            createdAt: reaction.createdAt.toISOString(),
+          }))
+        );
+
+        return {
+          reactions: reactionsWithUsers,
+          hasMore,
+          nextCursor: hasMore
+            ? reactionsToReturn[reactionsToReturn.length - 1].id
+            : null,
+        };
+      } catch (error) {
+        console.error("Error fetching reactions:", error);
+        throw new Error("Failed to fetch reactions");
+      }
+    },
+
+    search: async (_, { query, types, limit = 20, cursor }, context) => {
+      try {
+        const { hits, hasMore, nextCursor } = await searchService.search({
+          query,
+          types: types?.length ? types : ["POST", "COMMENT", "USER"],
+          viewerId: context.user?.userId,
+          limit,
+          cursor,
+          loadAuthor: (userId) => loadUser(userId, context.loaders),
+        });
+
+        const results = await Promise.all(
+          hits.map(async (hit) => {
+            const type = hit.type.toUpperCase();
+
+            if (type === "POST") {
+              const post = await loadPost(hit.sourceId);
+              return post && { type, score: hit.score, post };
+            }
+
+            const user = await context.loaders.user.load(hit.userId);
+
+            if (type === "COMMENT") {
+              return {
+                type,
+                score: hit.score,
+                comment: {
+                  id: hit.sourceId,
+                  postId: hit.postId,
+                  userId: hit.userId,
+                  user,
+                  content: hit.content,
+                  createdAt: hit.createdAt.toISOString(),
+                },
+              };
+            }
+
+            return { type, score: hit.score, user };
+          })
+        );
+
+        return {
+          results: results.filter(Boolean),
+          hasMore,
+          nextCursor,
+        };
+      } catch (error) {
+        console.error("Error searching:", error);
+        throw new Error("Failed to search");
+      }
+    },
+
+    getPostsByHashtag: async (_, { tag, limit = 10, cursor }, context) => {
+      try {
+        return await fetchPublicFeedPage(
+          {
+            isHidden: false,
+            hashtags: { some: { hashtag: { name: hashtagService.normalize(tag) } } },
+          },
+          limit,
+          cursor,
+          context.loaders
+        );
+      } catch (error) {
+        console.error("Error fetching hashtag posts:", error);
+        throw new Error("Failed to fetch hashtag posts");
+      }
+    },
+
+    trendingHashtags: async (_, { window = "DAY", limit = 10 }) => {
+      try {
+        return await hashtagService.getTrending(window, Math.min(limit, 50));
+      } catch (error) {
+        console.error("Error fetching trending hashtags:", error);
+        throw new Error("Failed to fetch trending hashtags");
+      }
+    },
+
+    // Profile timeline - same cursor semantics as getNewsFeed (posts with id below the cursor)
+    getUserPosts: async (_, { userId, limit = 10, cursor }, context) => {
+      const author = await getUserById(userId);
+
+      if (!author) {
+        throw new Error("User not found");
+      }
+
+      const levels = await getVisibleLevels(userId, context.user?.userId, async () => author);
+
+      if (!levels) {
+        throw new Error("This account is private");
+      }
+
+      try {
+        const where = { userId, isHidden: false, visibility: { in: levels } };
+
+        const pinned = await prisma.post.findFirst({
+          where: { ...where, pinnedAt: { not: null } },
+        });
+
+        // The pinned post is shown once, at the top of the first page - never in the list
+        const [posts, postCount] = await Promise.all([
+          prisma.post.findMany({
+            where: {
+              ...where,
+              id: {
+                ...(cursor && { lt: cursor }),
+                ...(pinned && { not: pinned.id }),
+              },
+            },
+            take: limit + 1,
+            orderBy: { id: "desc" },
+          }),
+          prisma.post.count({ where }),
+        ]);
+
+        const hasMore = posts.length > limit;
+        const postsToReturn = hasMore ? posts.slice(0, -1) : posts;
+
+        return {
+          pinnedPost: pinned && !cursor ? formatPost(pinned) : null,
+          posts: postsToReturn.map(formatPost),
+          postCount,
+          hasMore,
+          nextCursor: hasMore
+            ? postsToReturn[postsToReturn.length - 1].id
+            : null,
+        };
+      } catch (error) {
+        console.error("Error fetching user posts:", error);
+        throw new Error("Failed to fetch user posts");
+      }
+    },
+
+    getSavedPosts: async (_, { collectionId, limit = 10, cursor }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        // Cursor is the bookmark id, so posts keep the order they were saved in
+        const bookmarks = await prisma.bookmark.findMany({
+          where: {
+            userId,
+            ...(collectionId && { collectionId }),
+          },
+          take: limit + 1,
+          ...(cursor && {
+            cursor: { id: cursor },
+            skip: 1,
+          }),
+          orderBy: { id: "desc" },
+        });
+
+        const hasMore = bookmarks.length > limit;
+        const bookmarksToReturn = hasMore ? bookmarks.slice(0, -1) : bookmarks;
+
+        // Posts that were deleted or are no longer visible are skipped
+        const posts = await Promise.all(
+          bookmarksToReturn.map((bookmark) => loadVisiblePost(bookmark.postId, userId, context.loaders))
+        );
+
+        return {
+          posts: posts.filter(Boolean),
+          hasMore,
+          nextCursor: hasMore
+            ? bookmarksToReturn[bookmarksToReturn.length - 1].id
+            : null,
+        };
+      } catch (error) {
+        console.error("Error fetching saved posts:", error);
+        throw new Error("Failed to fetch saved posts");
+      }
+    },
+
+    listDrafts: async (_, { scheduled, limit = 20, cursor }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      try {
+        const drafts = await prisma.postDraft.findMany({
+          where: {
+            userId: context.user.userId,
+            ...(scheduled && { publishAt: { not: null } }),
+          },
+          take: limit + 1,
+          ...(cursor && {
+            cursor: { id: cursor },
+            skip: 1,
+          }),
+          orderBy: { id: "desc" },
+        });
+
+        const hasMore = drafts.length > limit;
+        const draftsToReturn = hasMore ? drafts.slice(0, -1) : drafts;
+
+        return {
+          drafts: draftsToReturn.map(formatDraft),
+          hasMore,
+          nextCursor: hasMore
+            ? draftsToReturn[draftsToReturn.length - 1].id
+            : null,
+        };
+      } catch (error) {
+        console.error("Error fetching drafts:", error);
+        throw new Error("Failed to fetch drafts");
+      }
+    },
+
+    getBookmarkCollections: async (_, __, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      try {
+        const collections = await prisma.bookmarkCollection.findMany({
+          where: { userId: context.user.userId },
+          include: { _count: { select: { bookmarks: true } } },
+          orderBy: { createdAt: "asc" },
+        });
+
+        return collections.map(formatCollection);
+      } catch (error) {
+        console.error("Error fetching bookmark collections:", error);
+        throw new Error("Failed to fetch bookmark collections");
+      }
+    },
+
+    getPost: async (_, { id }, context) => {
+      try {
+        const post = await loadVisiblePost(id, context.user?.userId, context.loaders);
+
+        if (!post) {
+          throw new Error("Post not found");
+        }
+
+        return post;
+      } catch (error) {
+        console.error("Error fetching post:", error);
+        throw new Error("Failed to fetch post");
+      }
+    },
+  },
+
+  Post: {
+    // Resolved per request through the user cache - never part of the cached post payload
+    user: (post, _, context) => context.loaders.user.load(post.userId),
+
+    visibility: (post) => post.visibility.toUpperCase(),
+
+    isPinned: (post) => !!post.pinnedAt,
+
+    // Resolved per viewer - never part of the cached post payload
+    savedByMe: async (post, _, context) => {
+      if (!context.user) return false;
+
+      return context.loaders.savedByMe.load(post.id);
+    },
+
+    // Resolved per viewer - never part of the cached post payload
+    likedByMe: async (post, _, context) => {
+      if (!context.user) return false;
+
+      return context.loaders.likedByMe.load(post.id);
+    },
+
+    reactions: async (post, _, context) =>
+      withLikeCount(await context.loaders.reactionCounts.load(post.id), post.likeCount),
+
+    // Resolved per viewer - never part of the cached post payload
+    myReaction: async (post, _, context) => {
+      if (!context.user) return null;
+
+      return context.loaders.myReaction.load(post.id);
+    },
+
+    hashtags: (post, _, context) => context.loaders.hashtags.load(post.id),
+
+    mentions: (post, _, context) => context.loaders.mentions.load(post.id),
+
+    // Null until the link has been unfurled
+    linkPreview: async (post) => {
+      if (!post.linkUrl) return null;
+
+      return linkPreviewService.getPreview(post.linkUrl);
+    },
+
+    // Resolved per viewer - tallies depend on whether the viewer has voted
+    poll: async (post, _, context) => {
+      if (post.postType !== "POLL") return null;
+
+      return pollService.getPoll(post.id, context.user?.userId);
+    },
+
+    repostOf: async (post, _, context) => {
+      if (!post.repostOfId) return null;
+
+      return loadVisiblePost(post.repostOfId, context.user?.userId, context.loaders);
+    },
+
+    // Deleted quoted posts resolve to a tombstone instead of a broken reference
+    quotedPost: async (post, _, context, info) => {
+      if (!post.quotedPostId) return null;
+      if (quoteDepth(info.path) > MAX_QUOTE_DEPTH) return null;
+
+      const quoted = await loadPost(post.quotedPostId);
+      const visible = quoted && !quoted.isHidden &&
+        (await canViewPost(quoted, context.user?.userId, (userId) => loadUser(userId, context.loaders)));
+
+      return {
+        id: post.quotedPostId,
+        post: visible ? quoted : null,
+        isDeleted: !quoted,
+      };
+    },
+
+    editHistory: async (post) => {
+      if (!post.editedAt) return [];
+
+      const revisions = await prisma.postRevision.findMany({
+        where: { postId: post.id },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      });
+
+      return revisions.map((revision) => ({
+        ...revision,
+        mediaUrls: revision.mediaUrls
+          ? JSON.parse(JSON.stringify(revision.mediaUrls))
+          : [],
+        createdAt: revision.createdAt.toISOString(),
+      }));
+    },
+  },
+
+  Mutation: {
+    createPost: async (_, { input }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      if (!context.user.emailVerified) {
+        return {
+          success: false,
+          message: "Please verify your email before posting",
+          post: null,
+        };
+      }
+
+      try {
+        const { post, error } = await createPublishedPost(context.user.userId, input);
+
+        if (error) {
+          return {
+            success: false,
+            message: error,
+            post: null,
+          };
+        }
+
+        return {
+          success: true,
+          message: "Post created successfully",
+          post: formatPost(post),
+        };
+      } catch (error) {
+        console.error("Error creating post:", error);
+        return {
+          success: false,
+          message: "Failed to create post",
+          post: null,
+        };
+      }
+    },
+
+    likePost: async (_, { postId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const post = await prisma.post.findUnique({
+          where: { id: postId },
+        });
+
+        if (!post || post.isHidden || !(await canViewPost(post, userId))) {
+          return {
+            success: false,
+            message: "Post not found",
+          };
+        }
+
+        // A like is the LIKE reaction - it replaces another reaction of the user
+        const { changed, previousType } = await setPostReaction(postId, userId, "like");
+
+        if (!changed) {
+          return {
+            success: true,
+            message: previousType === "like" ? "Post already liked" : "Reaction unchanged",
+            likeCount: await getLikeCount(postId),
+            likedByMe: previousType === "like",
+          };
+        }
+
+        await cacheService.invalidateCachedPost(postId);
+        await publishLike(post, userId);
+
+        return {
+          success: true,
+          message: "Post liked successfully",
+          likeCount: await getLikeCount(postId),
+          likedByMe: true,
+        };
+      } catch (error) {
+        console.error("Error liking post:", error);
+        return {
+          success: false,
+          message: "Failed to like post",
+        };
+      }
+    },
+
+    reactToPost: async (_, { postId, type }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const post = await loadVisiblePost(postId, userId);
+
+        if (!post) {
+          return {
+            success: false,
+            message: "Post not found",
+          };
+        }
+
+        const { changed, previousType } = await setPostReaction(
+          postId,
+          userId,
+          type.toLowerCase()
+        );
+
+        if (changed && (type === "LIKE" || previousType === "like")) {
+          // likeCount changed
+          await cacheService.invalidateCachedPost(postId);
+        }
+
+        if (changed && type === "LIKE") {
+          await publishLike(post, userId);
+        } else if (changed) {
+          const user = await getUserById(userId);
+
+          // Publish event (notification service aggregates reactions per post)
+          await publishEvent("post.reacted", {
+            postId,
+            postAuthorId: post.userId,
+            reactedBy: userId,
+            reactedByName: user?.username || "Someone",
+            type: type.toLowerCase(),
+            previousType,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return {
+          success: true,
+          message: changed ? "Reaction saved" : "Reaction unchanged",
+          reactions: await getPostReactionCounts(postId, await getLikeCount(postId)),
+          myReaction: await getMyPostReaction(postId, userId),
+        };
+      } catch (error) {
+        console.error("Error reacting to post:", error);
+        return {
+          success: false,
+          message: "Failed to react to post",
+        };
+      }
+    },
+
+    removePostReaction: async (_, { postId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const post = await prisma.post.findUnique({
+          where: { id: postId },
+        });
+
+        if (!post) {
+          return {
+            success: false,
+            message: "Post not found",
+          };
+        }
+
+        const removedType = await removePostReaction(postId, userId);
+
+        if (removedType === "like") {
+          // Removing a like is not published, like unlikePost
+          await cacheService.invalidateCachedPost(postId);
+        } else if (removedType) {
+          await publishEvent("post.unreacted", {
+            postId,
+            postAuthorId: post.userId,
+            reactedBy: userId,
+            type: removedType,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return {
+          success: true,
+          message: removedType ? "Reaction removed" : "No reaction to remove",
+          reactions: await getPostReactionCounts(postId, await getLikeCount(postId)),
+          myReaction: null,
+        };
+      } catch (error) {
+        console.error("Error removing post reaction:", error);
+        return {
+          success: false,
+          message: "Failed to remove reaction",
+        };
+      }
+    },
+
+    unlikePost: async (_, { postId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        // Other reactions are left alone - only a like is removed
+        const removedType = await removePostReaction(postId, userId, "like");
+        const likeCount = await getLikeCount(postId);
+
+        if (!removedType) {
+          return {
+            success: likeCount !== null,
+            message: likeCount !== null ? "Post not liked" : "Post not found",
+            likeCount,
+            likedByMe: false,
+          };
+        }
+
+        await cacheService.invalidateCachedPost(postId);
+
+        return {
+          success: true,
+          message: "Post unliked successfully",
+          likeCount,
+          likedByMe: false,
+        };
+      } catch (error) {
+        console.error("Error unliking post:", error);
+        return {
+          success: false,
+          message: "Failed to unlike post",
+        };
+      }
+    },
+
+    updatePost: async (_, { id, input }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      try {
+        const post = await prisma.post.findUnique({
+          where: { id },
+        });
+
+        if (!post || post.isHidden) {
+          return {
+            success: false,
+            message: "Post not found",
+            post: null,
+          };
+        }
+
+        if (post.userId !== context.user.userId) {
+          return {
+            success: false,
+            message: "You can only edit your own posts",
+            post: null,
+          };
+        }
+
+        if (post.repostOfId) {
+          return {
+            success: false,
+            message: "Reposts cannot be edited",
+            post: null,
+          };
+        }
+
+        // Only fields present in the input are changed
+        const data = {};
+        if (input.content !== undefined) {
+          data.content = input.content || null;
+        }
+        if (input.mediaUrls !== undefined) {
+          data.mediaUrls =
+            input.mediaUrls && input.mediaUrls.length > 0 ? input.mediaUrls : null;
+        }
+        if (input.location !== undefined) {
+          data.location = input.location || null;
+        }
+        if (input.visibility) {
+          data.visibility = input.visibility.toLowerCase();
+        }
+
+        const postType = post.postType.toUpperCase();
+        if (
+          (postType === "IMAGE" || postType === "VIDEO") &&
+          "mediaUrls" in data &&
+          !data.mediaUrls
+        ) {
+          return {
+            success: false,
+            message: `${postType} post must have media URLs`,
+            post: null,
+          };
+        }
+
+        const changedFields = Object.keys(data).filter(
+          (field) => JSON.stringify(data[field]) !== JSON.stringify(post[field])
+        );
+
+        let updated = post;
+        let hashtagChanges = {};
+
+        if (changedFields.length > 0) {
+          const contentChanged = changedFields.includes("content");
+          // A visibility change alone is not an edit - no revision, no "edited" mark
+          const revised = changedFields.some((field) => REVISED_FIELDS.includes(field));
+          const mentions = contentChanged ? await resolveMentions(data.content) : [];
+          const previousMentions = contentChanged
+            ? await prisma.postMention.findMany({
+              where: { postId: id },
+              select: { userId: true },
+            })
+            : [];
+
+          updated = await prisma.$transaction(async (tx) => {
+            // Keep the previous version in the edit history
+            if (revised) {
+              await tx.postRevision.create({
+                data: {
+                  postId: id,
+                  content: post.content,
+                  mediaUrls: post.mediaUrls ?? undefined,
+                  location: post.location,
+                },
+              });
+            }
+
+            const result = await tx.post.update({
+              where: { id },
+              data: {
+                ...data,
+                mediaUrls: data.mediaUrls === null ? Prisma.DbNull : data.mediaUrls,
+                // The preview follows the link (unfurled from post.updated)
+                ...(contentChanged && postType === "LINK" && {
+                  linkUrl: linkPreviewService.extractUrl(data.content),
+                }),
+                ...(revised && { editedAt: new Date() }),
+              },
+            });
+
+            if (contentChanged) {
+              hashtagChanges = await hashtagService.syncPostHashtags(tx, id, result.content);
+
+              // Offsets change with the content, so mentions are replaced as a whole
+              await tx.postMention.deleteMany({
+                where: { postId: id },
+              });
+              if (mentions.length > 0) {
+                await tx.postMention.createMany({
+                  data: mentions.map((mention) => ({ postId: id, ...mention })),
+                });
+              }
+            }
+
+            return result;
+          });
+
+          await hashtagService.recordUsage(updated, hashtagChanges);
+          await publishMentionEvent(
+            updated,
+            mentions,
+            previousMentions.map((mention) => mention.userId)
+          );
+
+          // Invalidate caches
+          await cacheService.invalidatePost(id);
+
+          // Publish event
+          await publishEvent("post.updated", {
+            postId: id,
+            userId: post.userId,
+            changedFields,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        return {
+          success: true,
+          message: "Post updated successfully",
+          post: formatPost(updated),
+        };
+      } catch (error) {
+        console.error("Error updating post:", error);
+        return {
+          success: false,
+          message: "Failed to update post",
+          post: null,
+        };
+      }
+    },
+
+    sharePost: async (_, { postId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      if (!context.user.emailVerified) {
+        return {
+          success: false,
+          message: "Please verify your email before posting",
+          post: null,
+        };
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const original = await findShareTarget(postId);
+
+        if (!original) {
+          return {
+            success: false,
+            message: "Post not found",
+            post: null,
+          };
+        }
+
+        // Idempotent - the unique (userId, repostOfId) constraint allows one repost per user
+        const existing = await prisma.post.findUnique({
+          where: { userId_repostOfId: { userId, repostOfId: original.id } },
+        });
+
+        if (existing) {
+          return {
+            success: true,
+            message: "Post already shared",
+            post: formatPost(existing),
+          };
+        }
+
+        const repost = await prisma.$transaction(async (tx) => {
+          const created = await tx.post.create({
+            data: {
+              userId,
+              postType: original.postType,
+              repostOfId: original.id,
+            },
+          });
+
+          await tx.post.update({
+            where: { id: original.id },
+            data: { shareCount: { increment: 1 } },
+          });
+
+          return created;
+        });
+
+        // Reposts reach followers' timelines like any new post
+        await publishEvent("post.created", {
+          postId: repost.id,
+          userId,
+          visibility: repost.visibility,
+          timestamp: new Date().toISOString(),
+        });
+
+        await timelineService.pushToTimelines([userId], repost.id);
+
+        await cacheService.invalidateAllNewsFeeds();
+        await cacheService.invalidateCachedPost(original.id);
+
+        await publishShareEvent(repost, original);
+
+        return {
+          success: true,
+          message: "Post shared successfully",
+          post: formatPost(repost),
+        };
+      } catch (error) {
+        if (error.code === "P2002") {
+          // Concurrent repost of the same post
+          return {
+            success: true,
+            message: "Post already shared",
+            post: null,
+          };
+        }
+        console.error("Error sharing post:", error);
+        return {
+          success: false,
+          message: "Failed to share post",
+          post: null,
+        };
+      }
+    },
+
+    unsharePost: async (_, { postId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      try {
+        const repost = await prisma.post.findFirst({
+          where: { userId: context.user.userId, repostOfId: postId },
+        });
+
+        if (!repost) {
+          return {
+            success: true,
+            message: "Post not shared",
+            post: null,
+          };
+        }
+
+        await removePostWithReposts(repost);
+
+        return {
+          success: true,
+          message: "Post unshared successfully",
+          post: null,
+        };
+      } catch (error) {
+        console.error("Error unsharing post:", error);
+        return {
+          success: false,
+          message: "Failed to unshare post",
+          post: null,
+        };
+      }
+    },
+
+    votePoll: async (_, { postId, optionId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const post = await loadVisiblePost(postId, userId);
+
+        if (!post) {
+          return {
+            success: false,
+            message: "Post not found",
+            poll: null,
+          };
+        }
+
+        const { error } = await pollService.vote(postId, optionId, userId);
+
+        if (error) {
+          return {
+            success: false,
+            message: error,
+            poll: null,
+          };
+        }
+
+        return {
+          success: true,
+          message: "Vote recorded",
+          poll: await pollService.getPoll(postId, userId),
+        };
+      } catch (error) {
+        console.error("Error voting in poll:", error);
+        return {
+          success: false,
+          message: "Failed to vote",
+          poll: null,
+        };
+      }
+    },
+
+    saveDraft: async (_, { input }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+      const { id, content, postType, mediaUrls, location, visibility, quotedPostId, poll } = input;
+
+      let publishAt = null;
+
+      if (input.publishAt) {
+        publishAt = new Date(input.publishAt);
+        const delay = publishAt.getTime() - Date.now();
+
+        if (isNaN(delay) || delay <= 0 || delay > MAX_SCHEDULE_AHEAD) {
+          return {
+            success: false,
+            message: "publishAt must be a future date within one year",
+            draft: null,
+          };
+        }
+
+        if (!context.user.emailVerified) {
+          return {
+            success: false,
+            message: "Please verify your email before posting",
+            draft: null,
+          };
+        }
+
+        // Scheduled drafts must be publishable as they are
+        const validationError = validatePostInput({ postType: postType || "TEXT", mediaUrls, poll });
+        if (validationError) {
+          return {
+            success: false,
+            message: validationError,
+            draft: null,
+          };
+        }
+      }
+
+      const data = {
+        content: content || null,
+        postType: (postType || "TEXT").toLowerCase(),
+        mediaUrls: mediaUrls && mediaUrls.length > 0 ? mediaUrls : Prisma.DbNull,
+        location: location || null,
+        visibility: (visibility || "PUBLIC").toLowerCase(),
+        quotedPostId: quotedPostId || null,
+        poll: poll
+          ? { options: poll.options, durationMinutes: poll.durationMinutes }
+          : Prisma.DbNull,
+        publishAt,
+        lastError: null,
+        publishAttempts: 0,
+      };
 
-        const posts = await prisma.post.findMany({
-          where: { isHidden: false },
-          take: limit + 1,
-          ...(cursor && {
-            cursor: { id: cursor },
-            skip: 1,
-          }),
-          orderBy: [{ createdAt: "desc" }, { id: "desc" }],
-        });
+      try {
+        let draft;
 
-        const hasMore = posts.length > limit;
-        const postsToReturn = hasMore ? posts.slice(0, -1) : posts;
+        if (id) {
+          const { count } = await prisma.postDraft.updateMany({
+            where: { id, userId },
+            data,
+          });
 
-        // Fetch user data for each post
-        const postsWithUsers = await Promise.all(
-          postsToReturn.map(async (post) => {
-            const user = await getUserById(post.userId);
+          if (count === 0) {
             return {
-              ...post,
-              postType: post.postType.toUpperCase(),
-              mediaUrls: post.mediaUrls
-                ? JSON.parse(JSON.stringify(post.mediaUrls))
-                : [],
-              createdAt: post.createdAt.toISOString(),
-              updatedAt: post.updatedAt.toISOString(),
-              user,
+              success: false,
+              message: "Draft not found",
+              draft: null,
             };
-          })
+          }
+
+          draft = await prisma.postDraft.findUnique({
+            where: { id },
+          });
+        } else {
+          draft = await prisma.postDraft.create({
+            data: { userId, ...data },
+          });
+        }
+
+        return {
+          success: true,
+          message: publishAt ? "Post scheduled successfully" : "Draft saved successfully",
+          draft: formatDraft(draft),
+        };
+      } catch (error) {
+        console.error("Error saving draft:", error);
+        return {
+          success: false,
+          message: "Failed to save draft",
+          draft: null,
+        };
+      }
+    },
+
+    publishDraft: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      if (!context.user.emailVerified) {
+        return {
+          success: false,
+          message: "Please verify your email before posting",
+          post: null,
+        };
+      }
+
+      try {
+        const draft = await prisma.postDraft.findFirst({
+          where: { id, userId: context.user.userId },
+        });
+
+        if (!draft) {
+          return {
+            success: false,
+            message: "Draft not found",
+            post: null,
+          };
+        }
+
+        const { post, error } = await createPublishedPost(
+          draft.userId,
+          draftToPostInput(draft),
+          { draftId: draft.id }
         );
 
-        const result = {
-          posts: postsWithUsers,
-          hasMore,
-          nextCursor: hasMore
-            ? postsToReturn[postsToReturn.length - 1].id
-            : null,
+        if (error) {
+          return {
+            success: false,
+            message: error,
+            post: null,
+          };
+        }
+
+        return {
+          success: true,
+          message: "Draft published successfully",
+          post: formatPost(post),
+        };
+      } catch (error) {
+        if (error.code === "P2025") {
+          // Published by the scheduler (or deleted) in the meantime
+          return {
+            success: false,
+            message: "Draft not found",
+            post: null,
+          };
+        }
+        console.error("Error publishing draft:", error);
+        return {
+          success: false,
+          message: "Failed to publish draft",
+          post: null,
         };
+      }
+    },
 
-        // Cache the result (2 minutes TTL)
-        await cacheService.cacheNewsFeed(limit, cursor, result);
+    deleteDraft: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
 
-        return result;
+      try {
+        const { count } = await prisma.postDraft.deleteMany({
+          where: { id, userId: context.user.userId },
+        });
+
+        return {
+          success: count > 0,
+          message: count > 0 ? "Draft deleted successfully" : "Draft not found",
+          draft: null,
+        };
       } catch (error) {
-        console.error("Error fetching news feed:", error);
-        throw new Error("Failed to fetch news feed");
+        console.error("Error deleting draft:", error);
+        return {
+          success: false,
+          message: "Failed to delete draft",
+          draft: null,
+        };
       }
     },
 
-    getPost: async (_, { id }) => {
+    savePost: async (_, { postId, collectionId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
       try {
-        // Try cache first
-        const cached = await cacheService.getCachedPost(id);
-        if (cached) {
-          console.log(`✅ Cache HIT for post:${id}`);
-          return cached;
+        const post = await loadVisiblePost(postId, userId);
+
+        if (!post) {
+          return {
+            success: false,
+            message: "Post not found",
+          };
         }
 
-        console.log(`⚠️ Cache MISS for post:${id}`);
+        if (collectionId) {
+          const collection = await prisma.bookmarkCollection.findFirst({
+            where: { id: collectionId, userId },
+          });
 
-        const post = await prisma.post.findUnique({
-          where: { id },
+          if (!collection) {
+            return {
+              success: false,
+              message: "Collection not found",
+            };
+          }
+        }
+
+        // Idempotent - saving again only moves the post to another collection
+        const bookmark = await prisma.bookmark.upsert({
+          where: { userId_postId: { userId, postId } },
+          create: { userId, postId, collectionId: collectionId || null },
+          update: { collectionId: collectionId || null },
         });
 
-        if (!post) {
-          throw new Error("Post not found");
-        }
+        return {
+          success: true,
+          message: "Post saved successfully",
+          savedByMe: true,
+          collectionId: bookmark.collectionId,
+        };
+      } catch (error) {
+        console.error("Error saving post:", error);
+        return {
+          success: false,
+          message: "Failed to save post",
+        };
+      }
+    },
+
+    unsavePost: async (_, { postId }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      try {
+        const { count } = await prisma.bookmark.deleteMany({
+          where: { userId: context.user.userId, postId },
+        });
+
+        return {
+          success: true,
+          message: count > 0 ? "Post removed from saved posts" : "Post not saved",
+          savedByMe: false,
+          collectionId: null,
+        };
+      } catch (error) {
+        console.error("Error unsaving post:", error);
+        return {
+          success: false,
+          message: "Failed to unsave post",
+        };
+      }
+    },
+
+    createBookmarkCollection: async (_, { name }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
 
-        const user = await getUserById(post.userId);
+      const collectionName = parseCollectionName(name);
 
-        const result = {
-          ...post,
-          postType: post.postType.toUpperCase(),
-          mediaUrls: post.mediaUrls
-            ? JSON.parse(JSON.stringify(post.mediaUrls))
-            : [],
-          createdAt: post.createdAt.toISOString(),
-          updatedAt: post.updatedAt.toISOString(),
-          user,
+      if (!collectionName) {
+        return {
+          success: false,
+          message: `Collection name must be 1-${MAX_COLLECTION_NAME} characters`,
+          collection: null,
         };
+      }
 
-        // Cache the result (15 minutes TTL)
-        await cacheService.cachePost(id, result);
+      try {
+        const collection = await prisma.bookmarkCollection.create({
+          data: { userId: context.user.userId, name: collectionName },
+          include: { _count: { select: { bookmarks: true } } },
+        });
 
-        return result;
+        return {
+          success: true,
+          message: "Collection created successfully",
+          collection: formatCollection(collection),
+        };
       } catch (error) {
-        console.error("Error fetching post:", error);
-        throw new Error("Failed to fetch post");
+        if (error.code === "P2002") {
+          return {
+            success: false,
+            message: "You already have a collection with this name",
+            collection: null,
+          };
+        }
+        console.error("Error creating bookmark collection:", error);
+        return {
+          success: false,
+          message: "Failed to create collection",
+          collection: null,
+        };
       }
     },
-  },
 
-  Mutation: {
-    createPost: async (_, { input }, context) => {
+    renameBookmarkCollection: async (_, { id, name }, context) => {
       if (!context.user) {
         throw new Error("Unauthorized. Please login first.");
       }
 
-      const { content, postType, mediaUrls, location } = input;
+      const collectionName = parseCollectionName(name);
 
-      // Validate
-      if (!postType) {
+      if (!collectionName) {
         return {
           success: false,
-          message: "Post type is required",
-          post: null,
+          message: `Collection name must be 1-${MAX_COLLECTION_NAME} characters`,
+          collection: null,
         };
       }
 
-      if (
-        (postType === "IMAGE" || postType === "VIDEO") &&
-        (!mediaUrls || mediaUrls.length === 0)
-      ) {
+      try {
+        const { count } = await prisma.bookmarkCollection.updateMany({
+          where: { id, userId: context.user.userId },
+          data: { name: collectionName },
+        });
+
+        if (count === 0) {
+          return {
+            success: false,
+            message: "Collection not found",
+            collection: null,
+          };
+        }
+
+        const collection = await prisma.bookmarkCollection.findUnique({
+          where: { id },
+          include: { _count: { select: { bookmarks: true } } },
+        });
+
+        return {
+          success: true,
+          message: "Collection renamed successfully",
+          collection: formatCollection(collection),
+        };
+      } catch (error) {
+        if (error.code === "P2002") {
+          return {
+            success: false,
+            message: "You already have a collection with this name",
+            collection: null,
+          };
+        }
+        console.error("Error renaming bookmark collection:", error);
         return {
           success: false,
-          message: `${postType} post must have media URLs`,
-          post: null,
+          message: "Failed to rename collection",
+          collection: null,
         };
       }
+    },
+
+    deleteBookmarkCollection: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
 
       try {
-        const post = await prisma.post.create({
-          data: {
-            userId: context.user.userId,
-            content: content || null,
-            postType: postType.toLowerCase(),
-            mediaUrls: mediaUrls && mediaUrls.length > 0 ? mediaUrls : null,
-            location: location || null,
-          },
+        // Bookmarks in the collection are kept (collectionId is set to null)
+        const { count } = await prisma.bookmarkCollection.deleteMany({
+          where: { id, userId: context.user.userId },
         });
 
-        // Publish event
-        await publishEvent("post.created", {
-          postId: post.id,
-          userId: post.userId,
-          timestamp: new Date().toISOString(),
+        return {
+          success: count > 0,
+          message: count > 0 ? "Collection deleted successfully" : "Collection not found",
+          collection: null,
+        };
+      } catch (error) {
+        console.error("Error deleting bookmark collection:", error);
+        return {
+          success: false,
+          message: "Failed to delete collection",
+          collection: null,
+        };
+      }
+    },
+
+    pinPost: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      const userId = context.user.userId;
+
+      try {
+        const post = await prisma.post.findUnique({
+          where: { id },
         });
 
-        // Invalidate news feed caches (new post affects all feeds)
-        await cacheService.invalidateAllNewsFeeds();
+        if (!post || post.isHidden) {
+          return {
+            success: false,
+            message: "Post not found",
+            post: null,
+          };
+        }
+
+        if (post.userId !== userId) {
+          return {
+            success: false,
+            message: "You can only pin your own posts",
+            post: null,
+          };
+        }
+
+        // Pinning replaces the previous pin
+        const { previous, pinned } = await prisma.$transaction(async (tx) => {
+          // Pins of one user run one at a time, so concurrent pins never leave two pinned posts
+          await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('pin_post'), ${userId}::int)`;
+
+          const previous = await tx.post.findMany({
+            where: { userId, pinnedAt: { not: null }, id: { not: id } },
+            select: { id: true },
+          });
+
+          await tx.post.updateMany({
+            where: { id: { in: previous.map((post) => post.id) } },
+            data: { pinnedAt: null },
+          });
+
+          const pinned = await tx.post.update({
+            where: { id },
+            data: { pinnedAt: new Date() },
+          });
+
+          return { previous, pinned };
+        });
 
-        const user = await getUserById(post.userId);
+        for (const { id: previousId } of [...previous, pinned]) {
+          await cacheService.invalidateCachedPost(previousId);
+        }
 
         return {
           success: true,
-          message: "Post created successfully",
-          post: {
-            ...post,
-            postType: post.postType.toUpperCase(),
-            mediaUrls: post.mediaUrls
-              ? JSON.parse(JSON.stringify(post.mediaUrls))
-              : [],
-            createdAt: post.createdAt.toISOString(),
-            updatedAt: post.updatedAt.toISOString(),
-            user,
-          },
+          message: "Post pinned successfully",
+          post: formatPost(pinned),
         };
       } catch (error) {
-        console.error("Error creating post:", error);
+        console.error("Error pinning post:", error);
         return {
           success: false,
-          message: "Failed to create post",
+          message: "Failed to pin post",
+          post: null,
+        };
+      }
+    },
+
+    unpinPost: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new Error("Unauthorized. Please login first.");
+      }
+
+      try {
+        const { count } = await prisma.post.updateMany({
+          where: { id, userId: context.user.userId, pinnedAt: { not: null } },
+          data: { pinnedAt: null },
+        });
+
+        if (count > 0) {
+          await cacheService.invalidateCachedPost(id);
+        }
+
+        return {
+          success: true,
+          message: count > 0 ? "Post unpinned successfully" : "Post not pinned",
+          post: null,
+        };
+      } catch (error) {
+        console.error("Error unpinning post:", error);
+        return {
+          success: false,
+          message: "Failed to unpin post",
           post: null,
         };
       }
@@ -208,19 +1807,7 @@ const resolvers = {
           };
         }
 
-        await prisma.post.delete({
-          where: { id },
-        });
-
-        // Invalidate caches
-        await cacheService.invalidatePost(id);
-
-        // Publish event
-        await publishEvent("post.deleted", {
-          postId: id,
-          userId: post.userId,
-          timestamp: new Date().toISOString(),
-        });
+        await removePostWithReposts(post);
 
         return {
           success: true,
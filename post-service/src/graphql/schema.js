@@ -1,14 +1,21 @@
 import { gql } from "graphql-tag";
 
 const typeDefs = gql`
+  "A user's public profile - never the email address"
   type User {
     id: Int!
     username: String!
-    email: String!
     fullName: String
     avatarUrl: String
   }
 
+  "Who can see a post - posts of private accounts are limited to approved followers"
+  enum PostVisibility {
+    PUBLIC
+    FOLLOWERS
+    PRIVATE
+  }
+
   type Post {
     id: Int!
     userId: Int!
@@ -17,17 +24,282 @@ const typeDefs = gql`
     postType: String!
     mediaUrls: [String]
     location: String
+    visibility: PostVisibility!
     likeCount: Int!
     commentCount: Int!
     shareCount: Int!
+    likedByMe: Boolean!
+    "Reaction totals, most used first (types without reactions are left out)"
+    reactions: [ReactionCount!]!
+    myReaction: ReactionType
+    savedByMe: Boolean!
+    isPinned: Boolean!
+    "Normalized hashtags found in the content"
+    hashtags: [String!]!
+    mentions: [Mention!]!
+    "Set on POLL posts"
+    poll: Poll
+    "Metadata of the link in a LINK post (null until it has been fetched)"
+    linkPreview: LinkPreview
+    "Original post of a plain repost - shown in feeds as reposted by user"
+    repostOfId: Int
+    repostOf: Post
+    quotedPostId: Int
+    "Embedded post of a quote post (null past the nesting limit)"
+    quotedPost: PostReference
+    "Set when the post has been edited"
+    editedAt: String
+    "Previous versions, newest first"
+    editHistory: [PostRevision!]!
     createdAt: String!
     updatedAt: String!
   }
 
+  enum ReactionType {
+    LIKE
+    LOVE
+    HAHA
+    WOW
+    SAD
+    ANGRY
+  }
+
+  type ReactionCount {
+    type: ReactionType!
+    count: Int!
+  }
+
+  type Reaction {
+    id: Int!
+    userId: Int!
+    user: User
+    type: ReactionType!
+    createdAt: String!
+  }
+
+  type ReactionsResponse {
+    reactions: [Reaction!]!
+    hasMore: Boolean!
+    nextCursor: Int
+  }
+
+  type ReactResponse {
+    success: Boolean!
+    message: String!
+    reactions: [ReactionCount!]
+    myReaction: ReactionType
+  }
+
+  "A resolved @mention - offset and length index into content (UTF-16 code units, including the @)"
+  type Mention {
+    userId: Int!
+    username: String!
+    offset: Int!
+    length: Int!
+  }
+
+  type LinkPreview {
+    url: String!
+    title: String
+    description: String
+    imageUrl: String
+    siteName: String
+  }
+
+  type Poll {
+    id: Int!
+    options: [PollOption!]!
+    expiresAt: String!
+    isClosed: Boolean!
+    "Null until the viewer has voted or the poll has closed"
+    totalVotes: Int
+    "Option ID the viewer voted for"
+    myVote: Int
+  }
+
+  type PollOption {
+    id: Int!
+    text: String!
+    "Null until the viewer has voted or the poll has closed"
+    votes: Int
+  }
+
+  input PollInput {
+    "2 to 4 options"
+    options: [String!]!
+    "How long the poll stays open once the post is published (5 minutes to 7 days)"
+    durationMinutes: Int!
+  }
+
+  type DraftPoll {
+    options: [String!]!
+    durationMinutes: Int!
+  }
+
+  type VotePollResponse {
+    success: Boolean!
+    message: String!
+    poll: Poll
+  }
+
+  "A quoted post, or a tombstone when it was deleted"
+  type PostReference {
+    id: Int!
+    post: Post
+    isDeleted: Boolean!
+  }
+
+  type PostRevision {
+    id: Int!
+    content: String
+    mediaUrls: [String]
+    location: String
+    createdAt: String!
+  }
+
+  "LATEST: newest first. TOP: ranked by engagement, recency and your interactions with the author"
+  enum FeedMode {
+    LATEST
+    TOP
+  }
+
+  enum TrendingWindow {
+    HOUR
+    DAY
+    WEEK
+  }
+
+  type TrendingHashtag {
+    tag: String!
+    "Uses within the window"
+    count: Int!
+  }
+
+  enum SearchType {
+    POST
+    COMMENT
+    USER
+  }
+
+  "A comment matching a search"
+  type SearchComment {
+    id: Int!
+    postId: Int!
+    userId: Int!
+    user: User
+    content: String!
+    createdAt: String!
+  }
+
+  "One of post, comment or user is set, depending on type"
+  type SearchResult {
+    type: SearchType!
+    "Relevance - results are sorted by it"
+    score: Float!
+    post: Post
+    comment: SearchComment
+    user: User
+  }
+
+  type SearchResponse {
+    results: [SearchResult!]!
+    hasMore: Boolean!
+    "Opaque - pass it back as cursor"
+    nextCursor: String
+  }
+
   type NewsFeedResponse {
     posts: [Post!]!
     hasMore: Boolean!
     nextCursor: Int
+    "getNewsFeed in TOP mode only - opaque, pass it back as rankedCursor"
+    nextRankedCursor: String
+  }
+
+  type UserPostsResponse {
+    "Only on the first page"
+    pinnedPost: Post
+    posts: [Post!]!
+    "Posts of the user the viewer can see"
+    postCount: Int!
+    hasMore: Boolean!
+    nextCursor: Int
+  }
+
+  type BookmarkCollection {
+    id: Int!
+    name: String!
+    postCount: Int!
+    createdAt: String!
+  }
+
+  type SavePostResponse {
+    success: Boolean!
+    message: String!
+    savedByMe: Boolean
+    collectionId: Int
+  }
+
+  type CollectionResponse {
+    success: Boolean!
+    message: String!
+    collection: BookmarkCollection
+  }
+
+  type PostDraft {
+    id: Int!
+    content: String
+    postType: String!
+    mediaUrls: [String]
+    location: String
+    visibility: PostVisibility!
+    quotedPostId: Int
+    poll: DraftPoll
+    "Scheduled publish time (null for plain drafts)"
+    publishAt: String
+    "Why the last scheduled publish failed"
+    lastError: String
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  "Replaces every field of the draft when id is given"
+  input SaveDraftInput {
+    id: Int
+    content: String
+    postType: String
+    mediaUrls: [String!]
+    location: String
+    visibility: PostVisibility
+    quotedPostId: Int
+    poll: PollInput
+    "ISO 8601 timestamp - schedules the draft for publishing"
+    publishAt: String
+  }
+
+  type DraftResponse {
+    success: Boolean!
+    message: String!
+    draft: PostDraft
+  }
+
+  type DraftsResponse {
+    drafts: [PostDraft!]!
+    hasMore: Boolean!
+    nextCursor: Int
+  }
+
+  type PostLikesResponse {
+    users: [User!]!
+    hasMore: Boolean!
+    nextCursor: Int
+  }
+
+  type LikePostResponse {
+    success: Boolean!
+    message: String!
+    likeCount: Int
+    likedByMe: Boolean
   }
 
   input CreatePostInput {
@@ -35,6 +307,19 @@ const typeDefs = gql`
     postType: String!
     mediaUrls: [String!]
     location: String
+    visibility: PostVisibility = PUBLIC
+    "Quote another post"
+    quotedPostId: Int
+    "Required for POLL posts"
+    poll: PollInput
+  }
+
+  "Omitted fields are left unchanged"
+  input UpdatePostInput {
+    content: String
+    mediaUrls: [String!]
+    location: String
+    visibility: PostVisibility
   }
 
   type CreatePostResponse {
@@ -44,13 +329,60 @@ const typeDefs = gql`
   }
 
   type Query {
-    getNewsFeed(limit: Int, cursor: Int): NewsFeedResponse!
+    """
+    Home feed: posts from accounts the viewer follows plus their own.
+    LATEST pages with cursor; TOP pages with rankedCursor, which holds the ranking taken
+    on the first page.
+    """
+    getNewsFeed(limit: Int, cursor: Int, mode: FeedMode = LATEST, rankedCursor: String): NewsFeedResponse!
+    "Every visible post, identical for all viewers"
+    getGlobalFeed(limit: Int, cursor: Int): NewsFeedResponse!
     getPost(id: Int!): Post
+    "Profile timeline: one user's posts, newest first"
+    getUserPosts(userId: Int!, limit: Int, cursor: Int): UserPostsResponse!
+    "Posts tagged with a hashtag (with or without the leading #)"
+    getPostsByHashtag(tag: String!, limit: Int, cursor: Int): NewsFeedResponse!
+    "Saved posts, newest saves first - all of them when collectionId is omitted"
+    getSavedPosts(collectionId: Int, limit: Int, cursor: Int): NewsFeedResponse!
+    getBookmarkCollections: [BookmarkCollection!]!
+    "Your drafts, newest first - only scheduled ones when scheduled is true"
+    listDrafts(scheduled: Boolean, limit: Int, cursor: Int): DraftsResponse!
+    trendingHashtags(window: TrendingWindow = DAY, limit: Int): [TrendingHashtag!]!
+    "Full-text search (every word matches as a prefix) - all types when types is omitted"
+    search(query: String!, types: [SearchType!], limit: Int, cursor: String): SearchResponse!
+    "Who reacted, newest first - only one reaction type when type is given"
+    getPostReactions(postId: Int!, type: ReactionType, limit: Int, cursor: Int): ReactionsResponse!
+    getPostLikes(postId: Int!, limit: Int, cursor: Int): PostLikesResponse!
   }
 
   type Mutation {
     createPost(input: CreatePostInput!): CreatePostResponse!
+    updatePost(id: Int!, input: UpdatePostInput!): CreatePostResponse!
     deletePost(id: Int!): CreatePostResponse!
+    likePost(postId: Int!): LikePostResponse!
+    unlikePost(postId: Int!): LikePostResponse!
+    "Repost to your followers (idempotent)"
+    sharePost(postId: Int!): CreatePostResponse!
+    unsharePost(postId: Int!): CreatePostResponse!
+    "One reaction per user - reacting again with another type replaces it (LIKE is likePost)"
+    reactToPost(postId: Int!, type: ReactionType!): ReactResponse!
+    removePostReaction(postId: Int!): ReactResponse!
+    "One vote per user - results are shown once you have voted"
+    votePoll(postId: Int!, optionId: Int!): VotePollResponse!
+    saveDraft(input: SaveDraftInput!): DraftResponse!
+    "Publish a draft now"
+    publishDraft(id: Int!): CreatePostResponse!
+    deleteDraft(id: Int!): DraftResponse!
+    "Save a post, optionally into a collection (saving again moves it)"
+    savePost(postId: Int!, collectionId: Int): SavePostResponse!
+    unsavePost(postId: Int!): SavePostResponse!
+    createBookmarkCollection(name: String!): CollectionResponse!
+    renameBookmarkCollection(id: Int!, name: String!): CollectionResponse!
+    "Saved posts of a deleted collection stay saved without a collection"
+    deleteBookmarkCollection(id: Int!): CollectionResponse!
+    "Pin a post to the top of your profile (replaces the current pin)"
+    pinPost(id: Int!): CreatePostResponse!
+    unpinPost(id: Int!): CreatePostResponse!
   }
 `;
 
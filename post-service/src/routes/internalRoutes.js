@@ -0,0 +1,76 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+import { authenticateService } from "../middleware/auth.js";
+import { canViewPost } from "../services/visibilityService.js";
+import feedRankingService from "../services/feedRankingService.js";
+
+const router = express.Router();
+
+// Whether a viewer can see a post (used by Comment Service to guard comments)
+router.get("/posts/:id/access", authenticateService, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const viewerId = req.query.viewerId ? parseInt(req.query.viewerId) : null;
+
+    const post = await prisma.post.findUnique({
+      where: { id: postId },
+      select: { id: true, userId: true, visibility: true, isHidden: true },
+    });
+
+    const canView = !!post && !post.isHidden && (await canViewPost(post, viewerId));
+
+    res.json({
+      success: true,
+      data: { canView },
+    });
+  } catch (error) {
+    console.error("Error checking post access:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check post access",
+    });
+  }
+});
+
+// Weights of the TOP home feed ranking
+router.get("/feed-ranking", authenticateService, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await feedRankingService.getConfig(),
+    });
+  } catch (error) {
+    console.error("Error fetching feed ranking config:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch feed ranking config",
+    });
+  }
+});
+
+// Tune ranking weights at runtime - applies to rankings built after the change
+router.put("/feed-ranking", authenticateService, async (req, res) => {
+  try {
+    const { config, error } = await feedRankingService.updateConfig(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: config,
+    });
+  } catch (error) {
+    console.error("Error updating feed ranking config:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update feed ranking config",
+    });
+  }
+});
+
+export default router;
@@ -2,7 +2,8 @@ import { getRedisClient } from "../config/redis.js";
 
 /**
  * Cache Service for Post Service
- * Only caches post-related data, NOT user data
+ * Post payloads never embed user data - authors are cached separately (user:{id})
+ * and resolved per field, so profile changes do not wait for post caches to expire
  */
 class CacheService {
     constructor() {
@@ -10,12 +11,14 @@ class CacheService {
         this.TTL = {
             POST: 15 * 60, // 15 minutes for single post
             NEWS_FEED: 2 * 60, // 2 minutes for news feed (changes frequently)
+            USER: 15 * 60, // 15 minutes for users (invalidated by user.updated)
         };
 
         // Cache key prefixes
         this.KEYS = {
             POST: "post:",
             NEWS_FEED: "newsfeed:",
+            USER: "user:",
         };
     }
 
@@ -134,21 +137,29 @@ class CacheService {
     }
 
     /**
-     * Cache news feed page
+     * Cache global feed page
      */
-    async cacheNewsFeed(limit, cursor, feedData) {
-        const key = `${this.KEYS.NEWS_FEED}${limit}:${cursor || "first"}`;
+    async cacheGlobalFeed(limit, cursor, feedData) {
+        const key = `${this.KEYS.NEWS_FEED}global:${limit}:${cursor || "first"}`;
         await this.set(key, feedData, this.TTL.NEWS_FEED);
     }
 
     /**
-     * Get cached news feed page
+     * Get cached global feed page
      */
-    async getCachedNewsFeed(limit, cursor) {
-        const key = `${this.KEYS.NEWS_FEED}${limit}:${cursor || "first"}`;
+    async getCachedGlobalFeed(limit, cursor) {
+        const key = `${this.KEYS.NEWS_FEED}global:${limit}:${cursor || "first"}`;
         return await this.get(key);
     }
 
+    /**
+     * Invalidate only the single post cache
+     * Used for counter changes (likes) - feeds pick them up when their TTL expires
+     */
+    async invalidateCachedPost(postId) {
+        await this.del(`${this.KEYS.POST}${postId}`);
+    }
+
     /**
      * Invalidate post cache (when post is updated/deleted)
      */
@@ -170,6 +181,55 @@ class CacheService {
         await this.delPattern(pattern);
     }
 
+    /**
+     * Cache authors for the User field resolver
+     * Kept apart from post payloads and dropped on user.updated, so profile changes show at once
+     */
+    async cacheUsers(users) {
+        try {
+            if (users.length === 0) return true;
+
+            const redis = getRedisClient();
+            const pipeline = redis.pipeline();
+            users.forEach((user) => {
+                pipeline.setex(`${this.KEYS.USER}${user.id}`, this.TTL.USER, JSON.stringify(user));
+            });
+            await pipeline.exec();
+            return true;
+        } catch (error) {
+            console.error("Cache SET error for users:", error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get cached users - returns Map(userId → user) of the cache hits
+     */
+    async getCachedUsers(userIds) {
+        try {
+            if (userIds.length === 0) return new Map();
+
+            const redis = getRedisClient();
+            const cached = await redis.mget(...userIds.map((userId) => `${this.KEYS.USER}${userId}`));
+            return new Map(
+                userIds
+                    .map((userId, index) => [userId, cached[index]])
+                    .filter(([, data]) => data)
+                    .map(([userId, data]) => [userId, JSON.parse(data)])
+            );
+        } catch (error) {
+            console.error("Cache GET error for users:", error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Invalidate a cached user (user.updated)
+     */
+    async invalidateUser(userId) {
+        await this.del(`${this.KEYS.USER}${userId}`);
+    }
+
     /**
      * Get cache statistics
      */
@@ -0,0 +1,16 @@
+import axios from "axios";
+
+const COMMENT_SERVICE_URL =
+  process.env.COMMENT_SERVICE_URL;
+
+// One page of comments in ID order: { comments, nextAfterId } - throws when Comment Service fails
+export async function listComments(afterId, limit) {
+  const response = await axios.get(`${COMMENT_SERVICE_URL}/api/internal/comments`, {
+    params: { afterId, limit },
+    headers: {
+      "X-Service-Token": process.env.SERVICE_SECRET,
+    },
+  });
+
+  return response.data.data;
+}
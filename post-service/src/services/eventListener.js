@@ -0,0 +1,126 @@
+import amqp from "amqplib";
+import prisma from "../lib/prisma.js";
+import timelineService from "./timelineService.js";
+import linkPreviewService from "./linkPreviewService.js";
+import searchService from "./searchService.js";
+import cacheService from "./cacheService.js";
+
+let channel = null;
+
+const EXCHANGES = {
+  post: "posts",
+  user: "users",
+  comment: "comments",
+};
+
+/**
+ * One durable queue per concern, bound to the events its handlers name.
+ * A failing step only drops its own message - the other concerns still get the event.
+ * Replicas share each queue, so they split the work and events survive restarts.
+ */
+const QUEUES = {
+  // Home timelines: fan-out and follow backfill/cleanup
+  "post-service.timeline": {
+    "post.created": (data) => timelineService.fanOutPost(data),
+    "post.deleted": (data) => timelineService.removePost(data),
+    "user.followed": (data) => timelineService.handleFollow(data),
+    "user.unfollowed": (data) => timelineService.handleUnfollow(data),
+  },
+  // Full-text search index
+  "post-service.search": {
+    "post.created": (data) => searchService.indexPost(data.postId),
+    "post.updated": (data) => searchService.indexPost(data.postId),
+    "post.deleted": (data) => searchService.removePost(data.postId),
+    "comment.created": (data) => searchService.indexComment(data),
+    "comment.updated": (data) => searchService.indexComment(data),
+    "comment.deleted": (data) => searchService.removeComment(data),
+    "user.registered": (data) => searchService.indexUser(data),
+    "user.updated": (data) => searchService.indexUser(data),
+    "user.banned": (data) => searchService.removeUser(data),
+  },
+  // Link previews (slow - fetches the linked page)
+  "post-service.link-previews": {
+    "post.created": (data) => linkPreviewService.handlePostChanged(data),
+    "post.updated": (data) => linkPreviewService.handlePostChanged(data),
+  },
+  // Data mirrored from other services: comment counts, saved posts, user cache
+  "post-service.sync": {
+    "post.deleted": (data) => handlePostDeleted(data),
+    "comment.created": (data) => changeCommentCount(data.postId, 1),
+    // Replies are deleted together with their comment
+    "comment.deleted": (data) => changeCommentCount(data.postId, -(1 + (data.replyIds?.length || 0))),
+    "user.updated": (data) => cacheService.invalidateUser(data.userId),
+  },
+};
+
+function exchangeOf(eventType) {
+  return EXCHANGES[eventType.split(".")[0]];
+}
+
+export async function initEventListener() {
+  try {
+    const connection = await amqp.connect(
+      process.env.RABBITMQ_URL
+    );
+    channel = await connection.createChannel();
+    for (const exchange of Object.values(EXCHANGES)) {
+      await channel.assertExchange(exchange, "topic", { durable: true });
+    }
+
+    for (const [queue, handlers] of Object.entries(QUEUES)) {
+      await channel.assertQueue(queue, { durable: true });
+
+      for (const eventType of Object.keys(handlers)) {
+        await channel.bindQueue(queue, exchangeOf(eventType), eventType);
+      }
+
+      channel.consume(queue, (msg) => msg && handleMessage(queue, handlers, msg));
+    }
+
+    console.log("✅ RabbitMQ event listener initialized");
+  } catch (error) {
+    console.error("❌ RabbitMQ listener failed:", error.message);
+    // Retry connection after 5 seconds
+    setTimeout(initEventListener, 5000);
+  }
+}
+
+async function handleMessage(queue, handlers, msg) {
+  try {
+    const { eventType, data } = JSON.parse(msg.content.toString());
+    console.log(`📥 Received event: ${eventType} (${queue})`, data);
+
+    const handle = handlers[eventType];
+    if (handle) {
+      await handle(data);
+    } else {
+      console.log(`Unknown event type: ${eventType}`);
+    }
+
+    channel.ack(msg);
+  } catch (error) {
+    console.error(`Error processing event (${queue}):`, error);
+    channel.nack(msg, false, false);
+  }
+}
+
+// Deleted posts silently disappear from everyone's saved posts
+async function handlePostDeleted({ postId }) {
+  const { count } = await prisma.bookmark.deleteMany({
+    where: { postId },
+  });
+
+  if (count > 0) {
+    console.log(`🗑️  Removed ${count} bookmarks of deleted post ${postId}`);
+  }
+}
+
+// Comments live in Comment Service - posts.comment_count mirrors them from its events
+async function changeCommentCount(postId, by) {
+  await prisma.$executeRaw`
+    UPDATE posts SET comment_count = GREATEST(comment_count + ${by}, 0)
+    WHERE id = ${postId}
+  `;
+
+  await cacheService.invalidateCachedPost(postId);
+}
@@ -0,0 +1,268 @@
+import { randomBytes } from "crypto";
+import prisma from "../lib/prisma.js";
+import { getRedisClient } from "../config/redis.js";
+import timelineService from "./timelineService.js";
+
+/**
+ * Feed Ranking Service for Post Service
+ *
+ * The TOP home feed mode ranks the newest timeline posts by
+ *
+ *   score = (1 + likeWeight·ln(1 + likes) + commentWeight·ln(1 + comments) + shareWeight·ln(1 + shares))
+ *         × (1 + affinityWeight·ln(1 + interactions with the author))
+ *         × 0.5^(age in hours / halfLifeHours)
+ *
+ * Weights are read from Redis (feed_ranking:config) on top of env defaults, so they
+ * can be tuned at runtime through the internal API without a redeploy.
+ *
+ * Scores change while a user scrolls, so the ranked order is snapshotted when the
+ * first page is requested and later pages are read from the snapshot by offset.
+ * Every first page starts a new snapshot and the cursor names it, so a refresh or a
+ * second device never reorders a list another session is paging through.
+ *
+ * Key Patterns:
+ * - feed_ranking:config → Hash of weight overrides
+ * - ranked_feed:{userId}:{snapshotId} → List of ranked post IDs (snapshot)
+ * - feed_affinity:{userId} → Hash of authorId → interactions in AFFINITY_WINDOW
+ */
+
+// Unlike `parseFloat(...) || fallback`, keeps an explicit 0 (a weight can be switched off)
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+class FeedRankingService {
+    constructor() {
+        this.DEFAULTS = {
+            likeWeight: envNumber("FEED_RANK_LIKE_WEIGHT", 1),
+            commentWeight: envNumber("FEED_RANK_COMMENT_WEIGHT", 2),
+            shareWeight: envNumber("FEED_RANK_SHARE_WEIGHT", 3),
+            affinityWeight: envNumber("FEED_RANK_AFFINITY_WEIGHT", 1),
+            halfLifeHours: envNumber("FEED_RANK_HALF_LIFE_HOURS", 24),
+        };
+
+        this.CANDIDATES = 300; // Newest timeline posts that are ranked
+        this.SNAPSHOT_TTL = 30 * 60; // 30 minutes
+        this.AFFINITY_WINDOW = 30 * 24 * 60 * 60 * 1000; // Interactions of the last 30 days
+        this.AFFINITY_TTL = 60 * 60; // 1 hour
+        this.CONFIG_CACHE_MS = 30 * 1000; // Config changes apply within 30 seconds
+
+        this.KEYS = {
+            CONFIG: "feed_ranking:config",
+            SNAPSHOT: "ranked_feed:",
+            AFFINITY: "feed_affinity:",
+        };
+
+        this.config = null;
+        this.configLoadedAt = 0;
+    }
+
+    /**
+     * Current weights (defaults with the Redis overrides applied)
+     */
+    async getConfig() {
+        if (this.config && Date.now() - this.configLoadedAt < this.CONFIG_CACHE_MS) {
+            return this.config;
+        }
+
+        let overrides = {};
+        try {
+            overrides = await getRedisClient().hgetall(this.KEYS.CONFIG);
+        } catch (error) {
+            console.error("Feed ranking config read error:", error.message);
+        }
+
+        const config = { ...this.DEFAULTS };
+        for (const [key, value] of Object.entries(overrides)) {
+            if (key in config && Number.isFinite(parseFloat(value))) {
+                config[key] = parseFloat(value);
+            }
+        }
+
+        this.config = config;
+        this.configLoadedAt = Date.now();
+        return config;
+    }
+
+    /**
+     * Override weights - returns { config } or { error }
+     * Weights must be zero or positive; halfLifeHours must be positive
+     */
+    async updateConfig(changes) {
+        const updates = {};
+
+        for (const [key, value] of Object.entries(changes || {})) {
+            if (!(key in this.DEFAULTS)) {
+                return { error: `Unknown setting ${key}` };
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0 || (key === "halfLifeHours" && number === 0)) {
+                return { error: `Invalid value for ${key}` };
+            }
+            updates[key] = number;
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await getRedisClient().hset(this.KEYS.CONFIG, updates);
+        }
+
+        this.config = null;
+        return { config: await this.getConfig() };
+    }
+
+    /**
+     * Interactions of a viewer with each author: likes, reactions and reposts/quotes
+     * Returns Map(authorId → count)
+     */
+    async getAffinity(viewerId) {
+        const redis = getRedisClient();
+        const key = `${this.KEYS.AFFINITY}${viewerId}`;
+
+        const cached = await redis.hgetall(key);
+        if (Object.keys(cached).length > 0) {
+            return new Map(
+                Object.entries(cached)
+                    .filter(([authorId]) => authorId !== "0")
+                    .map(([authorId, count]) => [parseInt(authorId), parseInt(count)])
+            );
+        }
+
+        const since = new Date(Date.now() - this.AFFINITY_WINDOW);
+        const rows = await prisma.$queryRaw`
+            SELECT p.user_id AS author_id, COUNT(*)::int AS interactions
+            FROM (
+                SELECT post_id FROM post_likes WHERE user_id = ${viewerId} AND created_at >= ${since}
+                UNION ALL
+                -- LIKE reactions are already counted through post_likes
+                SELECT post_id FROM post_reactions
+                WHERE user_id = ${viewerId} AND created_at >= ${since} AND type <> 'like'
+                UNION ALL
+                SELECT COALESCE(repost_of_id, quoted_post_id) FROM posts
+                WHERE user_id = ${viewerId} AND created_at >= ${since}
+                  AND (repost_of_id IS NOT NULL OR quoted_post_id IS NOT NULL)
+            ) interactions
+            JOIN posts p ON p.id = interactions.post_id
+            WHERE p.user_id <> ${viewerId}
+            GROUP BY p.user_id
+        `;
+
+        const affinity = new Map(rows.map((row) => [row.author_id, row.interactions]));
+
+        // Sentinel field "0" caches viewers without interactions
+        await redis
+            .pipeline()
+            .hset(key, { 0: 0, ...Object.fromEntries(affinity) })
+            .expire(key, this.AFFINITY_TTL)
+            .exec();
+
+        return affinity;
+    }
+
+    scorePost(post, affinity, config, now) {
+        const ageHours = Math.max(0, now - post.createdAt.getTime()) / (60 * 60 * 1000);
+
+        const engagement = 1 +
+            config.likeWeight * Math.log1p(post.likeCount) +
+            config.commentWeight * Math.log1p(post.commentCount) +
+            config.shareWeight * Math.log1p(post.shareCount);
+        const authorAffinity = 1 + config.affinityWeight * Math.log1p(affinity.get(post.userId) || 0);
+        const decay = Math.pow(0.5, ageHours / config.halfLifeHours);
+
+        return engagement * authorAffinity * decay;
+    }
+
+    snapshotKey(viewerId, snapshotId) {
+        return `${this.KEYS.SNAPSHOT}${viewerId}:${snapshotId}`;
+    }
+
+    encodeCursor(snapshotId, offset) {
+        return Buffer.from(JSON.stringify({ snapshotId, offset })).toString("base64url");
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const { snapshotId, offset } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+            return typeof snapshotId === "string" && /^[\w-]{1,32}$/.test(snapshotId) &&
+                Number.isInteger(offset) && offset > 0
+                ? { snapshotId, offset }
+                : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Rank the viewer's newest timeline posts and store the order as a snapshot
+     */
+    async buildSnapshot(viewerId, snapshotId) {
+        const { ids } = await timelineService.getTimelinePage(viewerId, this.CANDIDATES, null);
+
+        const [posts, affinity, config] = await Promise.all([
+            prisma.post.findMany({
+                where: { id: { in: ids }, isHidden: false },
+                select: {
+                    id: true,
+                    userId: true,
+                    visibility: true,
+                    likeCount: true,
+                    commentCount: true,
+                    shareCount: true,
+                    createdAt: true,
+                },
+            }),
+            this.getAffinity(viewerId),
+            this.getConfig(),
+        ]);
+
+        const now = Date.now();
+        const rankedIds = posts
+            .filter((post) => post.userId === viewerId || post.visibility !== "private")
+            .map((post) => ({ id: post.id, score: this.scorePost(post, affinity, config, now) }))
+            .sort((a, b) => b.score - a.score || b.id - a.id)
+            .map((post) => post.id);
+
+        const redis = getRedisClient();
+        const key = this.snapshotKey(viewerId, snapshotId);
+
+        const pipeline = redis.pipeline();
+        pipeline.del(key);
+        if (rankedIds.length > 0) {
+            pipeline.rpush(key, ...rankedIds);
+            pipeline.expire(key, this.SNAPSHOT_TTL);
+        }
+        await pipeline.exec();
+
+        return rankedIds;
+    }
+
+    /**
+     * One page of ranked post IDs - no cursor starts a new snapshot
+     * Returns { ids, hasMore, nextCursor } (nextCursor is opaque)
+     */
+    async getRankedPage(viewerId, limit, cursor = null) {
+        const redis = getRedisClient();
+        const position = cursor ? this.decodeCursor(cursor) : null;
+        const snapshotId = position?.snapshotId ?? randomBytes(9).toString("base64url");
+        const offset = position?.offset ?? 0;
+        const key = this.snapshotKey(viewerId, snapshotId);
+
+        let rankedIds;
+        if (position && (await redis.exists(key))) {
+            rankedIds = (await redis.lrange(key, offset, offset + limit)).map(Number);
+        } else {
+            // First page, or the snapshot expired while scrolling (re-ranked under the same id)
+            rankedIds = (await this.buildSnapshot(viewerId, snapshotId)).slice(offset, offset + limit + 1);
+        }
+
+        const hasMore = rankedIds.length > limit;
+
+        return {
+            ids: rankedIds.slice(0, limit),
+            hasMore,
+            nextCursor: hasMore ? this.encodeCursor(snapshotId, offset + limit) : null,
+        };
+    }
+}
+
+export default new FeedRankingService();
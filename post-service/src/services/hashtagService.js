@@ -0,0 +1,174 @@
+import { getRedisClient } from "../config/redis.js";
+import { getUserById } from "./userService.js";
+import { isPublicPost } from "./visibilityService.js";
+
+/**
+ * Hashtag Service for Post Service
+ *
+ * Hashtags are extracted from post content and stored normalized (NFKC, lowercase)
+ * in the hashtags / post_hashtags tables.
+ *
+ * Trending counts are kept in hourly Redis buckets; a window is the sum of its buckets.
+ * Trending is public, so only posts anyone may see are counted.
+ *
+ * Key Patterns:
+ * - trending:{hourStart} → Sorted set of hashtag → uses in that hour
+ * - trending_window:{window}:{hourStart} → Short-lived union of a window's buckets
+ */
+class HashtagService {
+    constructor() {
+        // A tag starts after whitespace/punctuation and must contain a letter (#2024 is not a tag)
+        this.PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+        this.MAX_LENGTH = 100;
+        this.MAX_PER_POST = 30;
+
+        this.BUCKET_SIZE = 60 * 60; // 1 hour
+        this.BUCKET_TTL = 8 * 24 * 60 * 60; // Longest window plus a day
+        this.WINDOW_TTL = 60; // Trending results are recomputed at most once a minute
+
+        // Window name → number of hourly buckets
+        this.WINDOWS = {
+            HOUR: 1,
+            DAY: 24,
+            WEEK: 7 * 24,
+        };
+
+        this.KEYS = {
+            BUCKET: "trending:",
+            WINDOW: "trending_window:",
+        };
+    }
+
+    /**
+     * Normalize a tag for storage and lookup ("#Summer" → "summer")
+     */
+    normalize(tag) {
+        return tag.replace(/^#/, "").normalize("NFKC").toLowerCase();
+    }
+
+    /**
+     * Extract unique normalized hashtags from post content
+     */
+    extractHashtags(content) {
+        if (!content) return [];
+
+        const tags = new Set();
+        for (const match of content.matchAll(this.PATTERN)) {
+            const tag = this.normalize(match[2]);
+            if (tag.length <= this.MAX_LENGTH) {
+                tags.add(tag);
+            }
+            if (tags.size >= this.MAX_PER_POST) break;
+        }
+        return [...tags];
+    }
+
+    /**
+     * Replace a post's hashtags with the ones found in its content
+     * Runs inside the caller's transaction; returns { added, removed } tag names
+     */
+    async syncPostHashtags(tx, postId, content) {
+        const tags = this.extractHashtags(content);
+
+        const current = await tx.postHashtag.findMany({
+            where: { postId },
+            include: { hashtag: true },
+        });
+        const currentTags = current.map((link) => link.hashtag.name);
+
+        const added = tags.filter((tag) => !currentTags.includes(tag));
+        const removed = current.filter((link) => !tags.includes(link.hashtag.name));
+
+        for (const tag of added) {
+            // ON CONFLICT DO NOTHING - two posts introducing the same new tag at once must
+            // not fail with P2002 (a failed statement would abort the whole transaction)
+            await tx.hashtag.createMany({
+                data: [{ name: tag }],
+                skipDuplicates: true,
+            });
+            const hashtag = await tx.hashtag.update({
+                where: { name: tag },
+                data: { postCount: { increment: 1 } },
+            });
+            await tx.postHashtag.create({
+                data: { postId, hashtagId: hashtag.id },
+            });
+        }
+
+        if (removed.length > 0) {
+            const hashtagIds = removed.map((link) => link.hashtagId);
+            await tx.postHashtag.deleteMany({
+                where: { postId, hashtagId: { in: hashtagIds } },
+            });
+            await tx.hashtag.updateMany({
+                where: { id: { in: hashtagIds } },
+                data: { postCount: { decrement: 1 } },
+            });
+        }
+
+        return {
+            added,
+            removed: removed.map((link) => link.hashtag.name),
+        };
+    }
+
+    bucketStart(timestamp = Date.now()) {
+        const seconds = Math.floor(timestamp / 1000);
+        return seconds - (seconds % this.BUCKET_SIZE);
+    }
+
+    /**
+     * Count a post's tag usage in the current hour (removed tags count down)
+     * Followers-only and private posts and posts of private accounts are not counted
+     */
+    async recordUsage(post, { added = [], removed = [] }) {
+        if (added.length === 0 && removed.length === 0) return;
+
+        try {
+            if (post.visibility !== "public") return;
+            if (!isPublicPost(post, await getUserById(post.userId))) return;
+
+            const redis = getRedisClient();
+            const key = `${this.KEYS.BUCKET}${this.bucketStart()}`;
+
+            const pipeline = redis.pipeline();
+            added.forEach((tag) => pipeline.zincrby(key, 1, tag));
+            removed.forEach((tag) => pipeline.zincrby(key, -1, tag));
+            pipeline.expire(key, this.BUCKET_TTL);
+            await pipeline.exec();
+        } catch (error) {
+            // Trending is best effort - never fail the post write
+            console.error("Trending counter error:", error.message);
+        }
+    }
+
+    /**
+     * Most used hashtags in a window (HOUR | DAY | WEEK)
+     */
+    async getTrending(window, limit) {
+        const redis = getRedisClient();
+        const bucketCount = this.WINDOWS[window];
+        const current = this.bucketStart();
+        const windowKey = `${this.KEYS.WINDOW}${window}:${current}`;
+
+        if (!(await redis.exists(windowKey))) {
+            const buckets = Array.from(
+                { length: bucketCount },
+                (_, index) => `${this.KEYS.BUCKET}${current - index * this.BUCKET_SIZE}`
+            );
+
+            await redis.zunionstore(windowKey, buckets.length, ...buckets);
+            await redis.expire(windowKey, this.WINDOW_TTL);
+        }
+
+        const result = await redis.zrevrangebyscore(windowKey, "+inf", "(0", "WITHSCORES", "LIMIT", 0, limit);
+
+        const trending = [];
+        for (let i = 0; i < result.length; i += 2) {
+            trending.push({ tag: result[i], count: parseInt(result[i + 1]) });
+        }
+        return trending;
+    }
+}
+
+export default new HashtagService();
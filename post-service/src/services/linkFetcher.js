@@ -0,0 +1,173 @@
+import axios from "axios";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+/**
+ * Link Fetcher
+ * Downloads the start of an HTML page for link previews. Link previews fetch URLs
+ * chosen by users, so every connection (redirects included) is refused when the
+ * host resolves to a private, loopback or otherwise non-public address.
+ */
+
+const USER_AGENT = "NewFeedBot/1.0 (link preview)";
+
+// Non-public IPv4/IPv6 ranges (RFC 6890 special-purpose registries)
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv6"));
+
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return blockedRanges.check(address, "ipv4");
+  }
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  return blockedRanges.check(address, "ipv6");
+}
+
+// dns.lookup that refuses blocked addresses
+// Runs when the socket connects, so a host cannot pass the check with one address
+// and connect to another (DNS rebinding)
+function publicLookup(isBlocked) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      if (addresses.some((entry) => isBlocked(entry.address))) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// IP literals skip the lookup, so they are checked before connecting
+function assertPublicHost(hostname, isBlocked) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlocked(host)) {
+    throw new Error(`${host} is a private address`);
+  }
+}
+
+/**
+ * Create a fetcher: async (url) => { url, html }
+ * - timeout: total time in ms for the request, redirects and body
+ * - maxBytes: bytes of HTML read; longer pages are cut off (metadata is in <head>)
+ * - allowPrivate: skip the address checks (local fixture servers only)
+ * - isBlockedAddress: the address check - tests narrow it to tell two loopback
+ *   addresses apart
+ */
+export function createLinkFetcher({
+  timeout = 5000,
+  maxBytes = 512 * 1024,
+  maxRedirects = 3,
+  allowPrivate = false,
+  isBlockedAddress = isPrivateAddress,
+} = {}) {
+  const agentOptions = allowPrivate ? {} : { lookup: publicLookup(isBlockedAddress) };
+  const httpAgent = new http.Agent(agentOptions);
+  const httpsAgent = new https.Agent(agentOptions);
+
+  return async function fetchLink(url) {
+    const target = new URL(url);
+    if (!["http:", "https:"].includes(target.protocol)) {
+      throw new Error(`Unsupported protocol ${target.protocol}`);
+    }
+    if (!allowPrivate) {
+      assertPublicHost(target.hostname, isBlockedAddress);
+    }
+
+    const response = await axios.get(target.href, {
+      responseType: "stream",
+      signal: AbortSignal.timeout(timeout),
+      maxRedirects,
+      httpAgent,
+      httpsAgent,
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: "text/html,application/xhtml+xml",
+      },
+      beforeRedirect: (options) => {
+        if (!["http:", "https:"].includes(options.protocol)) {
+          throw new Error(`Unsupported redirect protocol ${options.protocol}`);
+        }
+        if (!allowPrivate) {
+          assertPublicHost(options.hostname, isBlockedAddress);
+        }
+      },
+    });
+
+    const stream = response.data;
+    const contentType = response.headers["content-type"] || "";
+
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      stream.destroy();
+      throw new Error(`Not an HTML page (${contentType || "no content type"})`);
+    }
+
+    const html = await readLimited(stream, maxBytes);
+
+    return {
+      // Final URL after redirects - relative image URLs resolve against it
+      url: response.request?.res?.responseUrl || target.href,
+      html,
+    };
+  };
+}
+
+// Read at most maxBytes of a response stream as UTF-8
+function readLimited(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const finish = () => resolve(Buffer.concat(chunks).toString("utf8"));
+
+    stream.on("data", (chunk) => {
+      const remaining = maxBytes - size;
+      chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+      size += chunk.length;
+
+      if (size >= maxBytes) {
+        stream.destroy();
+        finish();
+      }
+    });
+    stream.on("end", finish);
+    stream.on("error", reject);
+  });
+}
@@ -0,0 +1,211 @@
+import prisma from "../lib/prisma.js";
+import { createLinkFetcher } from "./linkFetcher.js";
+
+/**
+ * Link Preview Service for Post Service
+ *
+ * LINK posts store the normalized URL of the first link in their content (posts.link_url).
+ * The page is unfurled in the background from post.created / post.updated: Open Graph
+ * and Twitter Card metadata is fetched once per URL and shared by every post linking it.
+ */
+class LinkPreviewService {
+    constructor() {
+        this.URL_PATTERN = /https?:\/\/[^\s<>"']+/i;
+        this.TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+        this.MAX_URL_LENGTH = 2048;
+        this.MAX_TITLE = 300;
+        this.MAX_DESCRIPTION = 1000;
+
+        this.REFRESH_AFTER = 7 * 24 * 60 * 60 * 1000; // Previews are refetched after 7 days
+        this.RETRY_AFTER = 60 * 60 * 1000; // Failed fetches are retried after an hour
+
+        // Tracking parameters dropped so shared links map to one preview
+        this.TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+        this.fetcher = createLinkFetcher();
+    }
+
+    /**
+     * Replace the page fetcher - e.g. createLinkFetcher({ allowPrivate: true }) against
+     * a local fixture server in tests
+     */
+    setFetcher(fetcher) {
+        this.fetcher = fetcher;
+    }
+
+    /**
+     * Canonical form of a URL, or null when it cannot be previewed
+     * (lowercase host, no default port, fragment or tracking parameters)
+     */
+    normalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+
+        if (!["http:", "https:"].includes(parsed.protocol) || parsed.username || parsed.password) {
+            return null;
+        }
+
+        parsed.hash = "";
+        [...parsed.searchParams.keys()]
+            .filter((key) => this.TRACKING_PARAMS.test(key))
+            .forEach((key) => parsed.searchParams.delete(key));
+
+        const normalized = parsed.href;
+        return normalized.length <= this.MAX_URL_LENGTH ? normalized : null;
+    }
+
+    /**
+     * Normalized URL of the first link in post content
+     */
+    extractUrl(content) {
+        const match = content?.match(this.URL_PATTERN);
+        if (!match) return null;
+
+        return this.normalizeUrl(match[0].replace(this.TRAILING_PUNCTUATION, ""));
+    }
+
+    decodeEntities(text) {
+        return text
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code)))
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&nbsp;/g, " ")
+            .replace(/&amp;/g, "&");
+    }
+
+    clean(text, maxLength) {
+        if (!text) return null;
+
+        const cleaned = this.decodeEntities(text).replace(/\s+/g, " ").trim();
+        return cleaned ? cleaned.slice(0, maxLength) : null;
+    }
+
+    /**
+     * Extract preview fields from a page's <head>
+     * Open Graph wins over Twitter Card, which wins over plain HTML tags
+     */
+    parseMetadata(html, pageUrl) {
+        const head = html.split(/<\/head>/i)[0];
+
+        const meta = {};
+        for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+            const attributes = {};
+            for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+                attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+            }
+
+            const key = (attributes.property || attributes.name || "").toLowerCase();
+            if (key && attributes.content && !(key in meta)) {
+                meta[key] = attributes.content;
+            }
+        }
+
+        const title = head.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1];
+        const image = meta["og:image"] || meta["og:image:url"] ||
+            meta["twitter:image"] || meta["twitter:image:src"];
+
+        return {
+            title: this.clean(meta["og:title"] || meta["twitter:title"] || title, this.MAX_TITLE),
+            description: this.clean(
+                meta["og:description"] || meta["twitter:description"] || meta.description,
+                this.MAX_DESCRIPTION
+            ),
+            imageUrl: image ? this.resolveImageUrl(this.decodeEntities(image), pageUrl) : null,
+            siteName: this.clean(meta["og:site_name"], this.MAX_TITLE),
+        };
+    }
+
+    // Absolute http(s) image URL (og:image may be relative)
+    resolveImageUrl(image, pageUrl) {
+        try {
+            const url = new URL(image.trim(), pageUrl);
+            return ["http:", "https:"].includes(url.protocol) && url.href.length <= this.MAX_URL_LENGTH
+                ? url.href
+                : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Fetch and store the preview of a normalized URL unless a recent one exists
+     * Never throws - failures are stored and retried after RETRY_AFTER
+     */
+    async unfurl(url) {
+        const existing = await prisma.linkPreview.findUnique({
+            where: { url },
+        });
+
+        if (existing) {
+            const age = Date.now() - existing.fetchedAt.getTime();
+            if (age < (existing.error ? this.RETRY_AFTER : this.REFRESH_AFTER)) {
+                return existing;
+            }
+        }
+
+        let data;
+        try {
+            const page = await this.fetcher(url);
+            data = { ...this.parseMetadata(page.html, page.url), error: null };
+            console.log(`🔗 Unfurled ${url}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not unfurl ${url}: ${error.message}`);
+            data = { error: error.message.slice(0, 500) };
+        }
+
+        try {
+            return await prisma.linkPreview.upsert({
+                where: { url },
+                create: { url, ...data, fetchedAt: new Date() },
+                update: { ...data, fetchedAt: new Date() },
+            });
+        } catch (error) {
+            console.error(`Error storing link preview for ${url}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Unfurl the link of a created or edited post (post.created / post.updated)
+     */
+    async handlePostChanged({ postId, changedFields }) {
+        if (changedFields && !changedFields.includes("content")) return;
+
+        const post = await prisma.post.findUnique({
+            where: { id: postId },
+            select: { linkUrl: true },
+        });
+
+        if (post?.linkUrl) {
+            await this.unfurl(post.linkUrl);
+        }
+    }
+
+    /**
+     * Stored preview of a URL, or null while it is pending or when fetching failed
+     */
+    async getPreview(url) {
+        const preview = await prisma.linkPreview.findUnique({
+            where: { url },
+        });
+
+        if (!preview || preview.error) return null;
+
+        return {
+            url: preview.url,
+            title: preview.title,
+            description: preview.description,
+            imageUrl: preview.imageUrl,
+            siteName: preview.siteName,
+        };
+    }
+}
+
+export default new LinkPreviewService();
@@ -0,0 +1,352 @@
+import prisma from "../lib/prisma.js";
+import { getRedisClient } from "../config/redis.js";
+import { publishEvent } from "./eventPublisher.js";
+import cacheService from "./cacheService.js";
+
+/**
+ * Poll Service for Post Service
+ *
+ * Votes are rows in poll_votes (one per user and poll), so voting never contends on
+ * a counter row. Live tallies are counted from poll_votes and cached in Redis; every
+ * vote drops the cached tallies. When a poll closes its final tallies are written to
+ * poll_options and served from Postgres from then on.
+ *
+ * A vote also bumps the poll's version, and a rebuild only stores its tallies when the
+ * version is unchanged since it started counting - so tallies counted before a vote
+ * can never be cached after that vote dropped them.
+ *
+ * Key Patterns:
+ * - poll_votes:{pollId} → Hash of optionId → votes (field "total" holds the sum)
+ * - poll_votes_version:{pollId} → Number of votes since the counters were first built
+ */
+
+// Store rebuilt tallies unless a vote came in since the rebuild started counting
+// KEYS: counts, version - ARGV: version at the start ("" for none), expiry, field/value pairs
+const STORE_COUNTS_SCRIPT = `
+if (redis.call("GET", KEYS[2]) or "") ~= ARGV[1] then
+    return 0
+end
+redis.call("DEL", KEYS[1])
+redis.call("HSET", KEYS[1], unpack(ARGV, 3))
+redis.call("EXPIREAT", KEYS[1], ARGV[2])
+return 1
+`;
+class PollService {
+    constructor() {
+        this.MIN_OPTIONS = 2;
+        this.MAX_OPTIONS = 4;
+        this.MAX_OPTION_LENGTH = 80;
+        this.MIN_DURATION = 5; // Minutes
+        this.MAX_DURATION = 7 * 24 * 60; // 7 days
+        this.COUNTS_TTL = 24 * 60 * 60; // Kept past expiry while the poll is being closed
+        this.BATCH_SIZE = 20; // Polls closed per scheduler run
+
+        this.KEYS = {
+            COUNTS: "poll_votes:",
+            VERSION: "poll_votes_version:",
+        };
+    }
+
+    countsKey(pollId) {
+        return `${this.KEYS.COUNTS}${pollId}`;
+    }
+
+    versionKey(pollId) {
+        return `${this.KEYS.VERSION}${pollId}`;
+    }
+
+    /**
+     * Error message for poll input that cannot be published, or null
+     */
+    validatePollInput(poll) {
+        if (!poll) {
+            return "POLL post must have poll options";
+        }
+
+        const options = (poll.options || []).map((option) => option.trim());
+
+        if (options.length < this.MIN_OPTIONS || options.length > this.MAX_OPTIONS) {
+            return `A poll must have ${this.MIN_OPTIONS} to ${this.MAX_OPTIONS} options`;
+        }
+
+        if (options.some((option) => !option || option.length > this.MAX_OPTION_LENGTH)) {
+            return `Poll options must be 1 to ${this.MAX_OPTION_LENGTH} characters`;
+        }
+
+        if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+            return "Poll options must be unique";
+        }
+
+        const duration = poll.durationMinutes;
+        if (!Number.isInteger(duration) || duration < this.MIN_DURATION || duration > this.MAX_DURATION) {
+            return `Poll duration must be ${this.MIN_DURATION} minutes to ${this.MAX_DURATION / (24 * 60)} days`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create the poll of a new post - runs inside the caller's transaction
+     * The duration starts when the post is published
+     */
+    async createPoll(tx, postId, poll) {
+        return tx.poll.create({
+            data: {
+                postId,
+                expiresAt: new Date(Date.now() + poll.durationMinutes * 60 * 1000),
+                options: {
+                    create: poll.options.map((text, position) => ({
+                        text: text.trim(),
+                        position,
+                    })),
+                },
+            },
+        });
+    }
+
+    isClosed(poll) {
+        return !!poll.closedAt || poll.expiresAt <= new Date();
+    }
+
+    /**
+     * Count a poll's votes and cache the tallies in Redis
+     * Without Redis the tallies are still counted, just not cached
+     */
+    async rebuildCounts(poll) {
+        // null when the version cannot be read - a vote may have raced, so nothing is stored
+        let version = null;
+        try {
+            version = (await getRedisClient().get(this.versionKey(poll.id))) ?? "";
+        } catch (error) {
+            console.error(`Poll counter read error for poll ${poll.id}:`, error.message);
+        }
+
+        const groups = await prisma.pollVote.groupBy({
+            by: ["optionId"],
+            where: { pollId: poll.id },
+            _count: { _all: true },
+        });
+
+        const counts = { total: 0 };
+        poll.options.forEach((option) => {
+            counts[option.id] = 0;
+        });
+        groups.forEach((group) => {
+            counts[group.optionId] = group._count._all;
+            counts.total += group._count._all;
+        });
+
+        if (version !== null) {
+            try {
+                await getRedisClient().eval(
+                    STORE_COUNTS_SCRIPT,
+                    2,
+                    this.countsKey(poll.id),
+                    this.versionKey(poll.id),
+                    version,
+                    this.countsExpiry(poll),
+                    ...Object.entries(counts).flat()
+                );
+            } catch (error) {
+                console.error(`Poll counter write error for poll ${poll.id}:`, error.message);
+            }
+        }
+
+        return counts;
+    }
+
+    countsExpiry(poll) {
+        return Math.floor(poll.expiresAt.getTime() / 1000) + this.COUNTS_TTL;
+    }
+
+    /**
+     * Current tallies { [optionId]: votes, total }
+     * Closed polls are read from Postgres, open ones from Redis
+     */
+    async getCounts(poll) {
+        if (poll.closedAt) {
+            const counts = { total: 0 };
+            poll.options.forEach((option) => {
+                counts[option.id] = option.voteCount;
+                counts.total += option.voteCount;
+            });
+            return counts;
+        }
+
+        try {
+            const redis = getRedisClient();
+            const cached = await redis.hgetall(this.countsKey(poll.id));
+
+            if (cached.total !== undefined) {
+                return Object.fromEntries(
+                    Object.entries(cached).map(([field, value]) => [field, parseInt(value)])
+                );
+            }
+        } catch (error) {
+            console.error(`Poll counter read error for poll ${poll.id}:`, error.message);
+        }
+
+        return this.rebuildCounts(poll);
+    }
+
+    /**
+     * Poll of a post as seen by a viewer (null when the post has no poll)
+     * Tallies stay hidden until the viewer has voted or the poll has closed
+     */
+    async getPoll(postId, viewerId) {
+        const poll = await prisma.poll.findUnique({
+            where: { postId },
+            include: { options: { orderBy: { position: "asc" } } },
+        });
+        if (!poll) return null;
+
+        const vote = viewerId
+            ? await prisma.pollVote.findUnique({
+                where: { pollId_userId: { pollId: poll.id, userId: viewerId } },
+            })
+            : null;
+
+        const isClosed = this.isClosed(poll);
+        const showResults = isClosed || !!vote;
+        const counts = showResults ? await this.getCounts(poll) : null;
+
+        return {
+            id: poll.id,
+            expiresAt: poll.expiresAt.toISOString(),
+            isClosed,
+            totalVotes: counts ? counts.total : null,
+            myVote: vote?.optionId ?? null,
+            options: poll.options.map((option) => ({
+                id: option.id,
+                text: option.text,
+                votes: counts ? counts[option.id] ?? 0 : null,
+            })),
+        };
+    }
+
+    /**
+     * Record a vote - one per user and poll
+     * Returns { error } when the vote is not accepted
+     */
+    async vote(postId, optionId, userId) {
+        const poll = await prisma.poll.findUnique({
+            where: { postId },
+            include: { options: true },
+        });
+
+        if (!poll) {
+            return { error: "Poll not found" };
+        }
+
+        if (this.isClosed(poll)) {
+            return { error: "This poll has closed" };
+        }
+
+        if (!poll.options.some((option) => option.id === optionId)) {
+            return { error: "Option not found" };
+        }
+
+        try {
+            await prisma.pollVote.create({
+                data: { pollId: poll.id, optionId, userId },
+            });
+        } catch (error) {
+            if (error.code === "P2002") {
+                return { error: "You have already voted in this poll" };
+            }
+            throw error;
+        }
+
+        try {
+            // The next read counts this vote; a rebuild already counting cannot store stale tallies
+            const versionKey = this.versionKey(poll.id);
+            await getRedisClient()
+                .multi()
+                .incr(versionKey)
+                .expireat(versionKey, this.countsExpiry(poll))
+                .del(this.countsKey(poll.id))
+                .exec();
+        } catch (error) {
+            // The vote is stored - make sure the counters are at least dropped
+            console.error(`Poll counter write error for poll ${poll.id}:`, error.message);
+            await cacheService.del(this.countsKey(poll.id));
+        }
+
+        return {};
+    }
+
+    /**
+     * Close expired polls: persist final tallies and notify the authors
+     * Safe to run on every replica - closedAt is set by exactly one of them
+     */
+    async closeExpiredPolls() {
+        const now = new Date();
+
+        const polls = await prisma.poll.findMany({
+            where: { closedAt: null, expiresAt: { lte: now } },
+            select: { id: true },
+            orderBy: { expiresAt: "asc" },
+            take: this.BATCH_SIZE,
+        });
+
+        for (const { id } of polls) {
+            try {
+                await this.closePoll(id);
+            } catch (error) {
+                console.error(`❌ Failed to close poll ${id}:`, error.message);
+            }
+        }
+    }
+
+    async closePoll(pollId) {
+        const closed = await prisma.$transaction(async (tx) => {
+            const { count } = await tx.poll.updateMany({
+                where: { id: pollId, closedAt: null },
+                data: { closedAt: new Date() },
+            });
+            if (count === 0) return null;
+
+            // Final tallies come from the votes themselves, not the live counters
+            const groups = await tx.pollVote.groupBy({
+                by: ["optionId"],
+                where: { pollId },
+                _count: { _all: true },
+            });
+            for (const group of groups) {
+                await tx.pollOption.update({
+                    where: { id: group.optionId },
+                    data: { voteCount: group._count._all },
+                });
+            }
+
+            const poll = await tx.poll.findUnique({
+                where: { id: pollId },
+                include: { post: { select: { userId: true } } },
+            });
+
+            return {
+                poll,
+                totalVotes: groups.reduce((sum, group) => sum + group._count._all, 0),
+            };
+        });
+
+        // Another replica closed it first
+        if (!closed) return;
+
+        const { poll, totalVotes } = closed;
+
+        await cacheService.del([this.countsKey(pollId), this.versionKey(pollId)]);
+
+        await publishEvent("poll.closed", {
+            postId: poll.postId,
+            pollId,
+            postAuthorId: poll.post.userId,
+            totalVotes,
+            timestamp: new Date().toISOString(),
+        });
+
+        console.log(`📊 Closed poll ${pollId} with ${totalVotes} votes`);
+    }
+}
+
+export default new PollService();
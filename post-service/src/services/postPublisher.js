@@ -0,0 +1,206 @@
+import prisma from "../lib/prisma.js";
+import { getUserById } from "./userService.js";
+import { resolveMentions } from "./mentionService.js";
+import { publishEvent } from "./eventPublisher.js";
+import cacheService from "./cacheService.js";
+import timelineService from "./timelineService.js";
+import hashtagService from "./hashtagService.js";
+import pollService from "./pollService.js";
+import linkPreviewService from "./linkPreviewService.js";
+import { canViewPost, isPublicPost } from "./visibilityService.js";
+
+/**
+ * Post Publisher
+ * The single path that turns input into a published post - used by createPost,
+ * publishDraft and the scheduler so events, timelines and caches stay consistent
+ */
+
+// Resolve the post a share points at - sharing a repost shares its original
+// Only public posts can be reposted or quoted
+export async function findShareTarget(postId) {
+  const post = await prisma.post.findUnique({
+    where: { id: postId },
+    include: { repostOf: true },
+  });
+
+  const target = post?.repostOf || post;
+  if (!target || target.isHidden) return null;
+
+  const author = await getUserById(target.userId);
+  return isPublicPost(target, author) ? target : null;
+}
+
+// Notify the original author about a repost or quote
+export async function publishShareEvent(share, original) {
+  const user = await getUserById(share.userId);
+
+  await publishEvent("post.shared", {
+    postId: share.id,
+    originalPostId: original.id,
+    postAuthorId: original.userId,
+    sharedBy: share.userId,
+    sharedByName: user?.username || "Someone",
+    isQuote: !share.repostOfId,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Notify users newly mentioned in a post (authors mentioning themselves are skipped)
+// Only users who can see the post are notified
+export async function publishMentionEvent(post, mentions, alreadyMentioned = []) {
+  const candidateIds = [...new Set(mentions.map((mention) => mention.userId))].filter(
+    (userId) => userId !== post.userId && !alreadyMentioned.includes(userId)
+  );
+  if (candidateIds.length === 0) return;
+
+  const user = await getUserById(post.userId);
+
+  const canView = await Promise.all(
+    candidateIds.map((userId) => canViewPost(post, userId, async () => user))
+  );
+  const mentionedUserIds = candidateIds.filter((_, index) => canView[index]);
+  if (mentionedUserIds.length === 0) return;
+
+  await publishEvent("post.mentioned", {
+    postId: post.id,
+    mentionedUserIds,
+    mentionedBy: post.userId,
+    mentionedByName: user?.username || "Someone",
+    timestamp: new Date().toISOString(),
+  });
+}
+
+
+// Error message for post input that cannot be published, or null
+export function validatePostInput({ postType, mediaUrls, poll }) {
+  if (!postType) {
+    return "Post type is required";
+  }
+
+  if (
+    (postType === "IMAGE" || postType === "VIDEO") &&
+    (!mediaUrls || mediaUrls.length === 0)
+  ) {
+    return `${postType} post must have media URLs`;
+  }
+
+  if (postType === "POLL") {
+    return pollService.validatePollInput(poll);
+  }
+
+  if (poll) {
+    return "Only POLL posts can have a poll";
+  }
+
+  return null;
+}
+
+/**
+ * Create and publish a post
+ * input uses the GraphQL shape (postType "TEXT", visibility "PUBLIC")
+ * When draftId is given the draft is deleted in the same transaction, so a draft is
+ * published at most once even if several callers race for it
+ * Returns { post } or { error }
+ */
+export async function createPublishedPost(userId, input, { draftId } = {}) {
+  const { content, postType, mediaUrls, location, visibility, quotedPostId, poll } = input;
+
+  const validationError = validatePostInput(input);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  const quoted = quotedPostId ? await findShareTarget(quotedPostId) : null;
+
+  if (quotedPostId && !quoted) {
+    return { error: "Quoted post not found" };
+  }
+
+  const mentions = await resolveMentions(content);
+  let hashtagChanges;
+
+  const post = await prisma.$transaction(async (tx) => {
+    if (draftId) {
+      // Throws (and rolls back) when the draft was already published or deleted
+      await tx.postDraft.delete({
+        where: { id: draftId },
+      });
+    }
+
+    const created = await tx.post.create({
+      data: {
+        userId,
+        content: content || null,
+        postType: postType.toLowerCase(),
+        mediaUrls: mediaUrls && mediaUrls.length > 0 ? mediaUrls : null,
+        location: location || null,
+        visibility: (visibility || "PUBLIC").toLowerCase(),
+        quotedPostId: quoted?.id ?? null,
+        // Unfurled in the background from post.created
+        linkUrl: postType === "LINK" ? linkPreviewService.extractUrl(content) : null,
+      },
+    });
+
+    // Quotes count as shares of the quoted post
+    if (quoted) {
+      await tx.post.update({
+        where: { id: quoted.id },
+        data: { shareCount: { increment: 1 } },
+      });
+    }
+
+    if (poll) {
+      await pollService.createPoll(tx, created.id, poll);
+    }
+
+    hashtagChanges = await hashtagService.syncPostHashtags(tx, created.id, created.content);
+
+    if (mentions.length > 0) {
+      await tx.postMention.createMany({
+        data: mentions.map((mention) => ({ postId: created.id, ...mention })),
+      });
+    }
+
+    return created;
+  });
+
+  await hashtagService.recordUsage(post, hashtagChanges);
+  await publishMentionEvent(post, mentions);
+
+  const author = await getUserById(post.userId);
+
+  // Publish event (Notification Service notifies the author's followers)
+  await publishEvent("post.created", {
+    postId: post.id,
+    userId: post.userId,
+    authorName: author?.username || "Someone",
+    visibility: post.visibility,
+    timestamp: new Date().toISOString(),
+  });
+
+  // Authors see their post right away; followers get it through fan-out
+  await timelineService.pushToTimelines([post.userId], post.id);
+
+  // Invalidate news feed caches (new post affects all feeds)
+  await cacheService.invalidateAllNewsFeeds();
+
+  if (quoted) {
+    await cacheService.invalidateCachedPost(quoted.id);
+    await publishShareEvent(post, quoted);
+  }
+
+  return { post };
+}
+
+// GraphQL-shaped post input from a stored draft
+export function draftToPostInput(draft) {
+  return {
+    content: draft.content,
+    postType: draft.postType.toUpperCase(),
+    mediaUrls: draft.mediaUrls ? JSON.parse(JSON.stringify(draft.mediaUrls)) : [],
+    location: draft.location,
+    visibility: draft.visibility.toUpperCase(),
+    quotedPostId: draft.quotedPostId,
+    poll: draft.poll ? JSON.parse(JSON.stringify(draft.poll)) : null,
+  };
+}
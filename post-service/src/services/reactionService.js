@@ -0,0 +1,203 @@
+import prisma from "../lib/prisma.js";
+
+/**
+ * Post reactions
+ * One reaction per user and post; per-type totals live in post_reaction_counts and
+ * change in the same transaction as the reaction row.
+ *
+ * LIKE is the like of likePost: a LIKE reaction also writes post_likes and
+ * posts.like_count in the same transaction (likedByMe, getPostLikes and feed ranking
+ * read those), so both views of a like always agree. Likes made before reactions
+ * existed only have the post_likes row - they count as LIKE reactions too.
+ */
+
+// Thrown inside a transaction when another request changed the reaction first
+const CONFLICT = "REACTION_CONFLICT";
+
+const LIKE = "like";
+
+// Tie-break order of equal totals (the ReactionType enum order)
+const TYPE_ORDER = ["like", "love", "haha", "wow", "sad", "angry"];
+
+async function incrementCount(tx, postId, type, by) {
+  if (by > 0) {
+    await tx.postReactionCount.upsert({
+      where: { postId_type: { postId, type } },
+      create: { postId, type, count: by },
+      update: { count: { increment: by } },
+    });
+  } else {
+    await tx.postReactionCount.update({
+      where: { postId_type: { postId, type } },
+      data: { count: { decrement: -by } },
+    });
+  }
+}
+
+async function addLike(tx, postId, userId) {
+  const { count } = await tx.postLike.createMany({
+    data: [{ postId, userId }],
+    skipDuplicates: true,
+  });
+  if (count === 0) throw new Error(CONFLICT);
+
+  await tx.post.update({
+    where: { id: postId },
+    data: { likeCount: { increment: 1 } },
+  });
+}
+
+async function deleteLike(tx, postId, userId) {
+  const { count } = await tx.postLike.deleteMany({
+    where: { postId, userId },
+  });
+  if (count === 0) throw new Error(CONFLICT);
+
+  await tx.post.update({
+    where: { id: postId },
+    data: { likeCount: { decrement: 1 } },
+  });
+}
+
+// A user's reaction row and like row, and the reaction type they stand for
+async function findCurrent(tx, postId, userId) {
+  const reaction = await tx.postReaction.findUnique({
+    where: { postId_userId: { postId, userId } },
+  });
+  const like = await tx.postLike.findUnique({
+    where: { postId_userId: { postId, userId } },
+  });
+
+  return { reaction, like, type: reaction?.type ?? (like ? LIKE : null) };
+}
+
+/**
+ * Set a user's reaction - reacting again with another type replaces it
+ * Returns { changed, previousType } (previousType is null for a new reaction)
+ */
+export async function setPostReaction(postId, userId, type) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { reaction, like, type: previousType } = await findCurrent(tx, postId, userId);
+
+      if (previousType === type) {
+        return { changed: false, previousType: type };
+      }
+
+      if (reaction) {
+        // Only succeeds if the reaction still has the type the counters are based on
+        const { count } = await tx.postReaction.updateMany({
+          where: { id: reaction.id, type: reaction.type },
+          data: { type },
+        });
+        if (count === 0) throw new Error(CONFLICT);
+
+        await incrementCount(tx, postId, reaction.type, -1);
+      } else {
+        await tx.postReaction.create({
+          data: { postId, userId, type },
+        });
+      }
+
+      await incrementCount(tx, postId, type, 1);
+
+      if (like) await deleteLike(tx, postId, userId);
+      if (type === LIKE) await addLike(tx, postId, userId);
+
+      return { changed: true, previousType };
+    });
+  } catch (error) {
+    // Lost a race with another reaction of the same user - theirs stands
+    if (error.message === CONFLICT || error.code === "P2002") {
+      return { changed: false, previousType: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a user's reaction - with onlyType, only when it has that type (unlikePost)
+ * Returns the removed type or null
+ */
+export async function removePostReaction(postId, userId, onlyType = null) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { reaction, like, type } = await findCurrent(tx, postId, userId);
+      if (!type || (onlyType && type !== onlyType)) return null;
+
+      if (reaction) {
+        const { count } = await tx.postReaction.deleteMany({
+          where: { id: reaction.id, type: reaction.type },
+        });
+        if (count === 0) throw new Error(CONFLICT);
+
+        await incrementCount(tx, postId, reaction.type, -1);
+      }
+
+      if (like) await deleteLike(tx, postId, userId);
+
+      return type;
+    });
+  } catch (error) {
+    // Removed by a concurrent request
+    if (error.message === CONFLICT) return null;
+    throw error;
+  }
+}
+
+/**
+ * Reaction totals of a post, most used first: [{ type, count }]
+ * The LIKE total is the post's likeCount, which includes likes from before reactions
+ */
+export async function getPostReactionCounts(postId, likeCount) {
+  const [counts] = await getReactionCountsByPostIds([postId]);
+
+  return withLikeCount(counts, likeCount);
+}
+
+/**
+ * Batch lookup for DataLoader - reaction totals of each post, in order, without LIKE
+ * (complete them with withLikeCount)
+ */
+export async function getReactionCountsByPostIds(postIds) {
+  const counts = await prisma.postReactionCount.findMany({
+    where: { postId: { in: postIds }, type: { not: LIKE }, count: { gt: 0 } },
+  });
+
+  return postIds.map((postId) => counts.filter((count) => count.postId === postId));
+}
+
+// Add the LIKE total and sort, most used first
+export function withLikeCount(counts, likeCount) {
+  return [...counts, { type: LIKE, count: likeCount }]
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => b.count - a.count || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type))
+    .map(({ type, count }) => ({ type: type.toUpperCase(), count }));
+}
+
+export async function getMyPostReaction(postId, userId) {
+  const [type] = await getReactionsOfUser(userId, [postId]);
+
+  return type;
+}
+
+/**
+ * Batch lookup for DataLoader - a user's reaction type on each post, in order (null for none)
+ */
+export async function getReactionsOfUser(userId, postIds) {
+  const [reactions, likes] = await Promise.all([
+    prisma.postReaction.findMany({
+      where: { userId, postId: { in: postIds } },
+      select: { postId: true, type: true },
+    }),
+    prisma.postLike.findMany({
+      where: { userId, postId: { in: postIds } },
+      select: { postId: true },
+    }),
+  ]);
+
+  const types = new Map(likes.map((like) => [like.postId, LIKE]));
+  reactions.forEach((reaction) => types.set(reaction.postId, reaction.type));
+
+  return postIds.map((postId) => types.get(postId)?.toUpperCase() ?? null);
+}
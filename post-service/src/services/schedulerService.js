@@ -0,0 +1,138 @@
+import prisma from "../lib/prisma.js";
+import { createPublishedPost, draftToPostInput } from "./postPublisher.js";
+import pollService from "./pollService.js";
+
+/**
+ * Scheduler Service for Post Service
+ *
+ * Publishes drafts whose publishAt has passed. State lives in Postgres, so schedules
+ * survive restarts and every replica can run the scheduler:
+ * - a replica claims a due draft with a conditional update on claimedAt (one winner)
+ * - publishing deletes the draft in the post's transaction (never published twice)
+ * - claims older than CLAIM_TIMEOUT are taken over (the claiming replica died)
+ * - a draft that fails MAX_ATTEMPTS runs in a row is unscheduled with its last error
+ *
+ * Each run also closes expired polls.
+ */
+class SchedulerService {
+    constructor() {
+        this.INTERVAL = (parseInt(process.env.SCHEDULER_INTERVAL) || 15) * 1000;
+        this.BATCH_SIZE = 20;
+        this.CLAIM_TIMEOUT = 5 * 60 * 1000;
+        this.MAX_ATTEMPTS = 5;
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.INTERVAL);
+        console.log(`⏰ Post scheduler started (every ${this.INTERVAL / 1000}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        // Skip a run while the previous one is still publishing
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            await this.publishDueDrafts();
+            await pollService.closeExpiredPolls();
+        } catch (error) {
+            console.error("❌ Scheduler run failed:", error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Claim and publish drafts that are due
+     */
+    async publishDueDrafts() {
+        const now = new Date();
+        const staleClaim = new Date(now.getTime() - this.CLAIM_TIMEOUT);
+
+        const drafts = await prisma.postDraft.findMany({
+            where: {
+                publishAt: { lte: now },
+                OR: [{ claimedAt: null }, { claimedAt: { lt: staleClaim } }],
+            },
+            select: { id: true, claimedAt: true },
+            orderBy: { publishAt: "asc" },
+            take: this.BATCH_SIZE,
+        });
+
+        for (const draft of drafts) {
+            // Only the replica whose update still sees the old claimedAt wins
+            const { count } = await prisma.postDraft.updateMany({
+                where: { id: draft.id, claimedAt: draft.claimedAt, publishAt: { lte: now } },
+                data: { claimedAt: new Date() },
+            });
+
+            if (count > 0) {
+                await this.publishDraft(draft.id);
+            }
+        }
+    }
+
+    /**
+     * Publish a claimed draft through the same path as createPost
+     */
+    async publishDraft(draftId) {
+        const draft = await prisma.postDraft.findUnique({
+            where: { id: draftId },
+        });
+        if (!draft) return;
+
+        try {
+            const { post, error } = await createPublishedPost(
+                draft.userId,
+                draftToPostInput(draft),
+                { draftId: draft.id }
+            );
+
+            if (error) {
+                // Invalid drafts are unscheduled and keep the reason for the author
+                await prisma.postDraft.updateMany({
+                    where: { id: draft.id },
+                    data: { publishAt: null, claimedAt: null, lastError: error },
+                });
+                console.warn(`⚠️ Scheduled draft ${draft.id} not published: ${error}`);
+                return;
+            }
+
+            console.log(`⏰ Published scheduled draft ${draft.id} as post ${post.id}`);
+        } catch (error) {
+            // P2025: the draft was published or deleted in the meantime
+            if (error.code === "P2025") return;
+
+            console.error(`❌ Failed to publish scheduled draft ${draft.id}:`, error.message);
+
+            // Release the claim so the next run retries, until the attempts run out
+            const attempts = draft.publishAttempts + 1;
+            const givingUp = attempts >= this.MAX_ATTEMPTS;
+            await prisma.postDraft.updateMany({
+                where: { id: draft.id },
+                data: {
+                    claimedAt: null,
+                    publishAttempts: attempts,
+                    lastError: "Publishing failed, please try again",
+                    ...(givingUp && { publishAt: null }),
+                },
+            });
+
+            if (givingUp) {
+                console.warn(`⚠️ Scheduled draft ${draft.id} unscheduled after ${attempts} failed attempts`);
+            }
+        }
+    }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,321 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../lib/prisma.js";
+import { canViewPost } from "./visibilityService.js";
+import { listUsers } from "./userService.js";
+import { listComments } from "./commentService.js";
+
+/**
+ * Search Service for Post Service
+ *
+ * Full-text search over posts, comments and users with a Postgres tsvector index
+ * (search_documents). Documents are written from post.*, comment.* and user.* events;
+ * comment and user documents are copies of data owned by Comment and Auth Service.
+ *
+ * Post and comment hits are joined with their post at query time, so visibility
+ * changes and hidden posts apply without reindexing.
+ *
+ * The "simple" text search configuration is used - no stemming or stop words, since
+ * content is multilingual. Every search term matches as a prefix.
+ *
+ * Content that existed before the index (or was missed while the listener was down)
+ * is indexed with `npm run reindex-search`, which pages through all three sources.
+ */
+class SearchService {
+    constructor() {
+        this.CONFIG = "simple";
+        this.MAX_TERMS = 10;
+        this.MAX_CONTENT = 10000; // Characters of a document that are indexed
+        this.REINDEX_BATCH = 500;
+
+        // GraphQL SearchType → stored document type
+        this.TYPES = {
+            POST: "post",
+            COMMENT: "comment",
+            USER: "user",
+        };
+    }
+
+    /**
+     * Create or replace a document
+     */
+    async upsertDocument({ type, sourceId, postId = null, userId, content, createdAt }) {
+        const text = (content || "").slice(0, this.MAX_CONTENT);
+
+        await prisma.$executeRaw`
+            INSERT INTO search_documents
+                (type, source_id, post_id, user_id, content, search_vector, created_at, updated_at)
+            VALUES (
+                ${type}::"SearchDocumentType", ${sourceId}, ${postId}, ${userId}, ${text},
+                to_tsvector(${this.CONFIG}::regconfig, ${text}), ${createdAt ?? new Date()}, NOW()
+            )
+            ON CONFLICT (type, source_id) DO UPDATE SET
+                post_id = EXCLUDED.post_id,
+                content = EXCLUDED.content,
+                search_vector = EXCLUDED.search_vector,
+                updated_at = NOW()
+        `;
+    }
+
+    /**
+     * Index a post from Postgres (post.created / post.updated)
+     * Plain reposts have no text of their own and are not indexed
+     */
+    async indexPost(postId) {
+        const post = await prisma.post.findUnique({
+            where: { id: postId },
+        });
+
+        if (!post || post.repostOfId || !post.content) {
+            await this.removePost(postId, { withComments: false });
+            return;
+        }
+
+        await this.upsertDocument({
+            type: this.TYPES.POST,
+            sourceId: post.id,
+            postId: post.id,
+            userId: post.userId,
+            content: post.content,
+            createdAt: post.createdAt,
+        });
+    }
+
+    /**
+     * Remove a post's document, and by default its comments' (post.deleted)
+     */
+    async removePost(postId, { withComments = true } = {}) {
+        await prisma.searchDocument.deleteMany({
+            where: withComments
+                ? { postId }
+                : { type: this.TYPES.POST, sourceId: postId },
+        });
+    }
+
+    /**
+     * Index a comment from its event payload (comment.created / comment.updated)
+     */
+    async indexComment({ comment, postId }) {
+        await this.upsertDocument({
+            type: this.TYPES.COMMENT,
+            sourceId: comment.id,
+            postId: comment.postId ?? postId,
+            userId: comment.authorId ?? comment.userId,
+            content: comment.content,
+            createdAt: comment.createdAt ? new Date(comment.createdAt) : undefined,
+        });
+    }
+
+    /**
+     * Remove a deleted comment and its replies (comment.deleted)
+     */
+    async removeComment({ commentId, replyIds = [] }) {
+        await prisma.searchDocument.deleteMany({
+            where: {
+                type: this.TYPES.COMMENT,
+                sourceId: { in: [commentId, ...replyIds] },
+            },
+        });
+    }
+
+    /**
+     * Index a user by username and full name (user.registered / user.updated)
+     */
+    async indexUser({ userId, username, fullName }) {
+        if (!username) return;
+
+        await this.upsertDocument({
+            type: this.TYPES.USER,
+            sourceId: userId,
+            userId,
+            content: [username, fullName].filter(Boolean).join(" "),
+        });
+    }
+
+    async removeUser({ userId }) {
+        await prisma.searchDocument.deleteMany({
+            where: { type: this.TYPES.USER, sourceId: userId },
+        });
+    }
+
+    /**
+     * Index every post with text of its own, in ID order - returns the number indexed
+     */
+    async reindexPosts() {
+        let indexed = 0;
+        let afterId = 0;
+
+        for (;;) {
+            const posts = await prisma.post.findMany({
+                where: { id: { gt: afterId }, repostOfId: null },
+                select: { id: true, userId: true, content: true, createdAt: true },
+                orderBy: { id: "asc" },
+                take: this.REINDEX_BATCH,
+            });
+            if (posts.length === 0) return indexed;
+
+            const withContent = posts.filter((post) => post.content);
+            await Promise.all(
+                withContent.map((post) =>
+                    this.upsertDocument({
+                        type: this.TYPES.POST,
+                        sourceId: post.id,
+                        postId: post.id,
+                        userId: post.userId,
+                        content: post.content,
+                        createdAt: post.createdAt,
+                    })
+                )
+            );
+
+            indexed += withContent.length;
+            afterId = posts[posts.length - 1].id;
+        }
+    }
+
+    /**
+     * Index every comment, paged from Comment Service - returns the number indexed
+     */
+    async reindexComments() {
+        let indexed = 0;
+        let afterId = 0;
+
+        while (afterId !== null) {
+            const page = await listComments(afterId, this.REINDEX_BATCH);
+            await Promise.all(page.comments.map((comment) => this.indexComment({ comment })));
+
+            indexed += page.comments.length;
+            afterId = page.nextAfterId;
+        }
+
+        return indexed;
+    }
+
+    /**
+     * Index every active user, paged from Auth Service - returns the number indexed
+     */
+    async reindexUsers() {
+        let indexed = 0;
+        let afterId = 0;
+
+        while (afterId !== null) {
+            const page = await listUsers(afterId, this.REINDEX_BATCH);
+            await Promise.all(
+                page.users.map((user) =>
+                    this.indexUser({ userId: user.id, username: user.username, fullName: user.fullName })
+                )
+            );
+
+            indexed += page.users.length;
+            afterId = page.nextAfterId;
+        }
+
+        return indexed;
+    }
+
+    /**
+     * Prefix tsquery for user input ("hel wor" → "hel:* & wor:*"), or null without terms
+     * Terms are reduced to letters, digits and "_", so the query syntax cannot be injected
+     */
+    buildQuery(query) {
+        const terms = (query || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+        if (terms.length === 0) return null;
+
+        return terms
+            .slice(0, this.MAX_TERMS)
+            .map((term) => `${term}:*`)
+            .join(" & ");
+    }
+
+    encodeCursor(row) {
+        // score is a Decimal - kept as a string so no precision is lost
+        return Buffer.from(JSON.stringify({ score: String(row.score), id: row.id })).toString("base64url");
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const { score, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+            return Number.isFinite(Number(score)) && Number.isInteger(id) ? { score, id } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Best matches first, across the requested types (POST | COMMENT | USER)
+     * Returns { hits, hasMore, nextCursor } - hits the viewer may not see are dropped,
+     * so pages can come back shorter than limit
+     * loadAuthor is the request's batched user loader (see canViewPost)
+     */
+    async search({ query, types, viewerId, limit, cursor, loadAuthor }) {
+        const tsquery = this.buildQuery(query);
+        if (!tsquery) {
+            return { hits: [], hasMore: false, nextCursor: null };
+        }
+
+        const documentTypes = types.map((type) => this.TYPES[type]);
+        const after = cursor ? this.decodeCursor(cursor) : null;
+
+        // Scores are rounded so the cursor compares exactly
+        const rows = await prisma.$queryRaw`
+            SELECT * FROM (
+                SELECT d.id, d.type::text AS type, d.source_id, d.post_id, d.user_id,
+                       d.content, d.created_at,
+                       p.user_id AS post_user_id, p.visibility::text AS post_visibility,
+                       ROUND(ts_rank(d.search_vector, q)::numeric, 6) AS score
+                FROM search_documents d
+                CROSS JOIN to_tsquery(${this.CONFIG}::regconfig, ${tsquery}) q
+                LEFT JOIN posts p ON p.id = d.post_id
+                WHERE d.search_vector @@ q
+                  AND d.type::text = ANY(${documentTypes})
+                  AND (
+                    d.type = 'user'
+                    OR (
+                      p.id IS NOT NULL
+                      AND NOT p.is_hidden
+                      AND (p.visibility <> 'private' OR p.user_id = ${viewerId ?? null}::int)
+                    )
+                  )
+            ) ranked
+            ${after
+                ? Prisma.sql`WHERE (ranked.score, ranked.id) < (${after.score}::numeric, ${after.id})`
+                : Prisma.empty}
+            ORDER BY ranked.score DESC, ranked.id DESC
+            LIMIT ${limit + 1}
+        `;
+
+        const hasMore = rows.length > limit;
+        const rowsToReturn = hasMore ? rows.slice(0, -1) : rows;
+
+        // Followers-only posts and private accounts need the author and follow checks
+        const visible = await Promise.all(
+            rowsToReturn.map((row) =>
+                row.type === this.TYPES.USER ||
+                canViewPost(
+                    { userId: row.post_user_id, visibility: row.post_visibility },
+                    viewerId,
+                    loadAuthor
+                )
+            )
+        );
+
+        return {
+            hits: rowsToReturn
+                .filter((_, index) => visible[index])
+                .map((row) => ({
+                    type: row.type,
+                    sourceId: row.source_id,
+                    postId: row.post_id,
+                    userId: row.user_id,
+                    content: row.content,
+                    createdAt: row.created_at,
+                    score: Number(row.score),
+                })),
+            hasMore,
+            nextCursor: hasMore
+                ? this.encodeCursor(rowsToReturn[rowsToReturn.length - 1])
+                : null,
+        };
+    }
+}
+
+export default new SearchService();
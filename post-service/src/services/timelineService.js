@@ -0,0 +1,327 @@
+import prisma from "../lib/prisma.js";
+import { getRedisClient } from "../config/redis.js";
+import { getFollowingIds, getFollowerIds } from "./userService.js";
+
+/**
+ * Timeline Service for Post Service
+ *
+ * Home timelines are built with fan-out-on-write:
+ * - post.created pushes the post ID into the author's and every follower's timeline
+ * - Authors with more than FANOUT_LIMIT followers are skipped during fan-out; their
+ *   posts are merged into the timeline at read time from Postgres (fan-out-on-read)
+ * - Timelines are only kept for active users and rebuilt from Postgres on first read
+ * - When Redis is unavailable, or a timeline reads empty for a user who follows
+ *   accounts, the home feed is read from Postgres directly (getHomePage)
+ *
+ * Post IDs are monotonic, so they double as the sorted set score and the feed cursor.
+ *
+ * Key Patterns:
+ * - timeline:{userId} → Sorted set of post IDs (sentinel member "0" marks an empty timeline)
+ * - following:{userId} → Set of followed user IDs (sentinel member "0")
+ * - timeline_celebrities → Set of author IDs whose posts are not fanned out
+ */
+class TimelineService {
+    constructor() {
+        this.MAX_SIZE = 800; // Posts kept per timeline
+        this.TTL = 7 * 24 * 60 * 60; // 7 days since the last read
+        this.RETRY_TTL = 60; // Rebuild soon when Auth Service was unavailable
+        this.FANOUT_LIMIT = parseInt(process.env.TIMELINE_FANOUT_LIMIT) || 5000;
+        this.FOLLOW_BACKFILL = 50; // Posts copied into a timeline on follow
+
+        this.KEYS = {
+            TIMELINE: "timeline:",
+            FOLLOWING: "following:",
+            CELEBRITIES: "timeline_celebrities",
+        };
+    }
+
+    timelineKey(userId) {
+        return `${this.KEYS.TIMELINE}${userId}`;
+    }
+
+    followingKey(userId) {
+        return `${this.KEYS.FOLLOWING}${userId}`;
+    }
+
+    /**
+     * Rebuild a timeline from Postgres (first read or after expiry)
+     */
+    async rebuildTimeline(userId) {
+        const redis = getRedisClient();
+        const followingIds = await getFollowingIds(userId);
+        const celebrities = new Set(await redis.smembers(this.KEYS.CELEBRITIES));
+
+        const authorIds = [
+            userId,
+            ...(followingIds || []).filter((id) => !celebrities.has(String(id))),
+        ];
+
+        const posts = await prisma.post.findMany({
+            where: {
+                isHidden: false,
+                userId: { in: authorIds },
+                OR: [{ userId }, { visibility: { not: "private" } }],
+            },
+            select: { id: true },
+            orderBy: { id: "desc" },
+            take: this.MAX_SIZE,
+        });
+
+        const ttl = followingIds ? this.TTL : this.RETRY_TTL;
+        const timelineKey = this.timelineKey(userId);
+        const followingKey = this.followingKey(userId);
+
+        const pipeline = redis.pipeline();
+        pipeline.del(timelineKey, followingKey);
+        pipeline.zadd(timelineKey, 0, "0", ...posts.flatMap((post) => [post.id, post.id]));
+        pipeline.sadd(followingKey, "0", ...(followingIds || []));
+        pipeline.expire(timelineKey, ttl);
+        pipeline.expire(followingKey, ttl);
+        await pipeline.exec();
+
+        console.log(`🔄 Rebuilt timeline for user ${userId} with ${posts.length} posts`);
+    }
+
+    /**
+     * Get one page of post IDs for a user's home timeline
+     * Returns { ids, hasMore } - ids are newest first and strictly below the cursor
+     */
+    async getTimelinePage(userId, limit, cursor) {
+        const redis = getRedisClient();
+        const timelineKey = this.timelineKey(userId);
+
+        if (!(await redis.exists(timelineKey))) {
+            await this.rebuildTimeline(userId);
+        }
+
+        const max = cursor ? `(${cursor}` : "+inf";
+        const [pushedIds, celebrityIds] = await Promise.all([
+            redis.zrevrangebyscore(timelineKey, max, "(0", "LIMIT", 0, limit + 1),
+            redis.sinter(this.followingKey(userId), this.KEYS.CELEBRITIES),
+        ]);
+
+        // Fan-out-on-read for followed accounts that are too big to fan out
+        let pulledIds = [];
+        if (celebrityIds.length > 0) {
+            const posts = await prisma.post.findMany({
+                where: {
+                    isHidden: false,
+                    visibility: { not: "private" },
+                    userId: { in: celebrityIds.map(Number) },
+                    ...(cursor && { id: { lt: cursor } }),
+                },
+                select: { id: true },
+                orderBy: { id: "desc" },
+                take: limit + 1,
+            });
+            pulledIds = posts.map((post) => post.id);
+        }
+
+        const ids = [...new Set([...pushedIds.map(Number), ...pulledIds])]
+            .sort((a, b) => b - a)
+            .slice(0, limit + 1);
+
+        // Keep active timelines alive
+        await redis.expire(timelineKey, this.TTL);
+        await redis.expire(this.followingKey(userId), this.TTL);
+
+        return {
+            ids: ids.slice(0, limit),
+            hasMore: ids.length > limit,
+        };
+    }
+
+    /**
+     * One page of a user's home feed: the Redis timeline, or Postgres when the timeline
+     * cannot be read or is empty although the user follows accounts
+     * Returns { ids, hasMore } like getTimelinePage
+     */
+    async getHomePage(userId, limit, cursor) {
+        let timelineFailed = false;
+
+        try {
+            const page = await this.getTimelinePage(userId, limit, cursor);
+            if (page.ids.length > 0) return page;
+        } catch (error) {
+            console.error(`Timeline read error for user ${userId}:`, error.message);
+            timelineFailed = true;
+        }
+
+        const followingIds = await getFollowingIds(userId);
+        if (!timelineFailed && !followingIds?.length) {
+            return { ids: [], hasMore: false };
+        }
+
+        return this.getDatabasePage(userId, followingIds || [], limit, cursor);
+    }
+
+    /**
+     * Home feed page straight from Postgres: the user's own posts and the posts
+     * of followed accounts
+     */
+    async getDatabasePage(userId, followingIds, limit, cursor) {
+        const posts = await prisma.post.findMany({
+            where: {
+                isHidden: false,
+                ...(cursor && { id: { lt: cursor } }),
+                OR: [
+                    { userId },
+                    { userId: { in: followingIds }, visibility: { not: "private" } },
+                ],
+            },
+            select: { id: true },
+            orderBy: { id: "desc" },
+            take: limit + 1,
+        });
+
+        return {
+            ids: posts.slice(0, limit).map((post) => post.id),
+            hasMore: posts.length > limit,
+        };
+    }
+
+    /**
+     * Add a post to existing timelines (inactive users are rebuilt on their next read)
+     */
+    async pushToTimelines(userIds, postId) {
+        if (userIds.length === 0) return;
+
+        const redis = getRedisClient();
+        const keys = userIds.map((id) => this.timelineKey(id));
+
+        const existsPipeline = redis.pipeline();
+        keys.forEach((key) => existsPipeline.exists(key));
+        const exists = await existsPipeline.exec();
+
+        const pipeline = redis.pipeline();
+        keys.forEach((key, index) => {
+            if (exists[index][1]) {
+                pipeline.zadd(key, postId, postId);
+                pipeline.zremrangebyrank(key, 0, -(this.MAX_SIZE + 1));
+            }
+        });
+        await pipeline.exec();
+    }
+
+    /**
+     * Remove a post from timelines
+     */
+    async removeFromTimelines(userIds, postId) {
+        if (userIds.length === 0) return;
+
+        const redis = getRedisClient();
+        const pipeline = redis.pipeline();
+        userIds.forEach((id) => pipeline.zrem(this.timelineKey(id), postId));
+        await pipeline.exec();
+    }
+
+    /**
+     * Run a callback for every page of an author's follower IDs
+     * Returns the follower count, or null when Auth Service is unavailable
+     */
+    async forEachFollowerPage(authorId, callback) {
+        let cursor = null;
+        let followerCount = null;
+
+        do {
+            const page = await getFollowerIds(authorId, cursor);
+            if (!page) return followerCount;
+
+            followerCount = page.followerCount;
+            if (followerCount > this.FANOUT_LIMIT) return followerCount;
+
+            await callback(page.ids);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return followerCount;
+    }
+
+    /**
+     * Fan out a new post to the author's followers
+     */
+    async fanOutPost({ postId, userId, visibility }) {
+        const redis = getRedisClient();
+
+        // Authors always see their own posts
+        await this.pushToTimelines([userId], postId);
+
+        // Private posts stay on the author's timeline
+        if (visibility === "private") return;
+
+        const followerCount = await this.forEachFollowerPage(userId, (ids) =>
+            this.pushToTimelines(ids, postId)
+        );
+
+        if (followerCount === null) {
+            console.warn(`⚠️ Could not fan out post ${postId}, followers will see it after a rebuild`);
+        } else if (followerCount > this.FANOUT_LIMIT) {
+            await redis.sadd(this.KEYS.CELEBRITIES, userId);
+            console.log(`⭐ User ${userId} has ${followerCount} followers, post ${postId} served on read`);
+        } else {
+            await redis.srem(this.KEYS.CELEBRITIES, userId);
+            console.log(`📬 Fanned out post ${postId} to ${followerCount} followers`);
+        }
+    }
+
+    /**
+     * Remove a deleted post from the author's and followers' timelines
+     */
+    async removePost({ postId, userId }) {
+        await this.removeFromTimelines([userId], postId);
+        await this.forEachFollowerPage(userId, (ids) =>
+            this.removeFromTimelines(ids, postId)
+        );
+    }
+
+    /**
+     * Backfill recent posts when a user follows someone
+     */
+    async handleFollow({ followerId, followingId }) {
+        const redis = getRedisClient();
+        const timelineKey = this.timelineKey(followerId);
+
+        if (!(await redis.exists(timelineKey))) return;
+
+        await redis.sadd(this.followingKey(followerId), followingId);
+
+        if (await redis.sismember(this.KEYS.CELEBRITIES, followingId)) return;
+
+        const posts = await prisma.post.findMany({
+            where: { isHidden: false, visibility: { not: "private" }, userId: followingId },
+            select: { id: true },
+            orderBy: { id: "desc" },
+            take: this.FOLLOW_BACKFILL,
+        });
+
+        if (posts.length > 0) {
+            await redis.zadd(timelineKey, ...posts.flatMap((post) => [post.id, post.id]));
+            await redis.zremrangebyrank(timelineKey, 0, -(this.MAX_SIZE + 1));
+        }
+    }
+
+    /**
+     * Drop an author's posts when a user unfollows them
+     */
+    async handleUnfollow({ followerId, followingId }) {
+        const redis = getRedisClient();
+        const timelineKey = this.timelineKey(followerId);
+
+        if (!(await redis.exists(timelineKey))) return;
+
+        await redis.srem(this.followingKey(followerId), followingId);
+
+        const posts = await prisma.post.findMany({
+            where: { userId: followingId },
+            select: { id: true },
+            orderBy: { id: "desc" },
+            take: this.MAX_SIZE,
+        });
+
+        if (posts.length > 0) {
+            await redis.zrem(timelineKey, ...posts.map((post) => post.id));
+        }
+    }
+}
+
+export default new TimelineService();
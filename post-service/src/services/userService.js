@@ -1,8 +1,21 @@
 import axios from "axios";
+import cacheService from "./cacheService.js";
 
 const AUTH_SERVICE_URL =
   process.env.AUTH_SERVICE_URL;
 
+// Stand-in when a user cannot be loaded
+function unknownUser(userId) {
+  return {
+    id: userId,
+    username: "Unknown",
+    email: "unknown@example.com",
+    fullName: null,
+    avatarUrl: null,
+  };
+}
+
+// Null when the user does not exist; a stand-in when Auth Service cannot be reached
 export async function getUserById(userId) {
   try {
     const response = await axios.get(
@@ -16,13 +29,127 @@ export async function getUserById(userId) {
 
     return response.data.data;
   } catch (error) {
+    if (error.response?.status === 404) return null;
+
     console.error("Error fetching user:", error.message);
-    return {
-      id: userId,
-      username: "Unknown",
-      email: "unknown@example.com",
-      fullName: null,
-      avatarUrl: null,
-    };
+    return unknownUser(userId);
+  }
+}
+
+// Batch lookup for DataLoader - one user per ID, in order (placeholders for unknown IDs)
+// Served from the user cache; misses are fetched from Auth Service in one call
+export async function getUsersByIds(userIds) {
+  const users = await cacheService.getCachedUsers(userIds);
+  const missingIds = userIds.filter((userId) => !users.has(userId));
+
+  if (missingIds.length > 0) {
+    try {
+      const response = await axios.post(
+        `${AUTH_SERVICE_URL}/api/internal/users/batch`,
+        { ids: missingIds },
+        {
+          headers: {
+            "X-Service-Token": process.env.SERVICE_SECRET,
+          },
+        }
+      );
+
+      response.data.data.forEach((user) => users.set(user.id, user));
+      await cacheService.cacheUsers(response.data.data);
+    } catch (error) {
+      console.error("Error fetching users:", error.message);
+    }
+  }
+
+  return userIds.map((userId) => users.get(userId) ?? unknownUser(userId));
+}
+
+export async function getFollowingIds(userId) {
+  try {
+    const response = await axios.get(
+      `${AUTH_SERVICE_URL}/api/internal/users/${userId}/following-ids`,
+      {
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error("Error fetching following IDs:", error.message);
+    return null;
   }
 }
+
+export async function getFollowerIds(userId, cursor = null) {
+  try {
+    const response = await axios.get(
+      `${AUTH_SERVICE_URL}/api/internal/users/${userId}/follower-ids`,
+      {
+        params: { cursor },
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error("Error fetching follower IDs:", error.message);
+    return null;
+  }
+}
+
+// Resolve usernames to { id, username } - unknown usernames are left out
+export async function getUsersByUsernames(usernames) {
+  if (usernames.length === 0) return [];
+
+  try {
+    const response = await axios.post(
+      `${AUTH_SERVICE_URL}/api/internal/users/by-username`,
+      { usernames },
+      {
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data;
+  } catch (error) {
+    console.error("Error resolving usernames:", error.message);
+    return [];
+  }
+}
+
+// Follow status of followerId towards followingId ("pending" | "accepted" | null)
+export async function getFollowStatus(followerId, followingId) {
+  try {
+    const response = await axios.get(
+      `${AUTH_SERVICE_URL}/api/internal/users/${followingId}/followers/${followerId}`,
+      {
+        headers: {
+          "X-Service-Token": process.env.SERVICE_SECRET,
+        },
+      }
+    );
+
+    return response.data.data.status;
+  } catch (error) {
+    console.error("Error fetching follow status:", error.message);
+    return null;
+  }
+}
+
+// One page of active users in ID order: { users, nextAfterId } - throws when Auth Service fails
+export async function listUsers(afterId, limit) {
+  const response = await axios.get(`${AUTH_SERVICE_URL}/api/internal/users`, {
+    params: { afterId, limit },
+    headers: {
+      "X-Service-Token": process.env.SERVICE_SECRET,
+    },
+  });
+
+  return response.data.data;
+}
@@ -0,0 +1,53 @@
+import { getUserById, getFollowStatus } from "./userService.js";
+
+/**
+ * Post visibility rules
+ * - public: everyone, unless the author's account is private
+ * - followers: accepted followers of the author
+ * - private: only the author
+ * Posts of private accounts are limited to accepted followers whatever their visibility.
+ */
+
+// Authors that could not be loaded are treated as private (fail closed)
+function isPrivateAccount(author) {
+  return author?.isPrivate !== false;
+}
+
+/**
+ * Whether a post can be shown to anyone, including logged out users
+ * Only such posts appear in shared lists (global feed, hashtags) and can be reposted or quoted
+ */
+export function isPublicPost(post, author) {
+  return post.visibility === "public" && !isPrivateAccount(author);
+}
+
+/**
+ * Whether a viewer (null when logged out) can see a post
+ * GraphQL resolvers pass their request's batched user loader as loadAuthor
+ */
+export async function canViewPost(post, viewerId, loadAuthor = getUserById) {
+  if (viewerId && viewerId === post.userId) return true;
+  if (post.visibility === "private") return false;
+
+  const author = await loadAuthor(post.userId);
+  if (isPublicPost(post, author)) return true;
+  if (!viewerId) return false;
+
+  return (await getFollowStatus(viewerId, post.userId)) === "accepted";
+}
+
+/**
+ * Visibility levels of an author's posts that a viewer can see
+ * Returns null when the account is private and the viewer is not an approved follower
+ */
+export async function getVisibleLevels(authorId, viewerId, loadAuthor = getUserById) {
+  if (viewerId && viewerId === authorId) return ["public", "followers", "private"];
+
+  const [author, followStatus] = await Promise.all([
+    loadAuthor(authorId),
+    viewerId ? getFollowStatus(viewerId, authorId) : null,
+  ]);
+
+  if (followStatus === "accepted") return ["public", "followers"];
+  return isPrivateAccount(author) ? null : ["public"];
+}
@@ -0,0 +1,84 @@
+import http from "http";
+
+// Local fixture pages for link preview tests
+const ARTICLE = `<!doctype html>
+<html>
+<head>
+  <title>Plain title</title>
+  <meta property="og:title" content="Fixture &amp; Friends">
+  <meta name="twitter:title" content="Twitter title">
+  <meta property="og:description" content="  A page
+    used by tests  ">
+  <meta property="og:image" content="/images/cover.png">
+  <meta property="og:site_name" content="Fixtures">
+</head>
+<body><h1>Article</h1></body>
+</html>`;
+
+const routes = {
+  "/article": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(ARTICLE);
+  },
+  "/plain": (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end("{}");
+  },
+  "/large": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(`<html><head><title>Large</title></head><body>${"x".repeat(64 * 1024)}</body></html>`);
+  },
+  "/slow": (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.write("<html><head>");
+    // Never finishes - the fetcher's timeout has to end the request
+  },
+};
+
+/**
+ * Start the fixture server on 127.0.0.1 and a random port
+ * Redirect routes: /redirect?to=<url> and /loop (redirects to itself)
+ * Returns { baseUrl, port, close }
+ */
+export async function startFixtureServer() {
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://fixture");
+
+    if (url.pathname === "/redirect") {
+      res.writeHead(302, { Location: url.searchParams.get("to") });
+      return res.end();
+    }
+    if (url.pathname === "/loop") {
+      res.writeHead(302, { Location: "/loop" });
+      return res.end();
+    }
+
+    const route = routes[url.pathname];
+    if (!route) {
+      res.writeHead(404, { "Content-Type": "text/html" });
+      return res.end("<html><head><title>Not found</title></head></html>");
+    }
+    route(req, res);
+  });
+
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  // Listens on every loopback address, so 127.0.0.1 and 127.0.0.2 reach the same server
+  await new Promise((resolve) => server.listen(0, "0.0.0.0", resolve));
+  const { port } = server.address();
+
+  return {
+    port,
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(resolve);
+      }),
+  };
+}
@@ -0,0 +1,126 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createLinkFetcher, isPrivateAddress } from "../src/services/linkFetcher.js";
+import { startFixtureServer } from "./fixtures/server.js";
+
+describe("isPrivateAddress", () => {
+  it("blocks private, loopback and link-local addresses", () => {
+    for (const address of [
+      "10.1.2.3",
+      "127.0.0.1",
+      "169.254.169.254",
+      "172.16.0.1",
+      "192.168.1.1",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fc00::1",
+      "fe80::1",
+      "::ffff:10.0.0.1",
+      "::ffff:127.0.0.1",
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it("allows public addresses", () => {
+    for (const address of ["93.184.216.34", "1.1.1.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe("createLinkFetcher", () => {
+  let fixture;
+
+  before(async () => {
+    fixture = await startFixtureServer();
+  });
+
+  after(async () => {
+    await fixture.close();
+  });
+
+  describe("against the fixture server", () => {
+    const fetchLink = createLinkFetcher({ allowPrivate: true, timeout: 2000 });
+
+    it("returns the HTML of a page", async () => {
+      const page = await fetchLink(`${fixture.baseUrl}/article`);
+
+      assert.equal(page.url, `${fixture.baseUrl}/article`);
+      assert.match(page.html, /og:title/);
+    });
+
+    it("follows redirects and reports the final URL", async () => {
+      const target = `${fixture.baseUrl}/article`;
+      const page = await fetchLink(`${fixture.baseUrl}/redirect?to=${encodeURIComponent(target)}`);
+
+      assert.equal(page.url, target);
+      assert.match(page.html, /Fixture &amp; Friends/);
+    });
+
+    it("gives up after maxRedirects", async () => {
+      await assert.rejects(fetchLink(`${fixture.baseUrl}/loop`), /redirect/i);
+    });
+
+    it("refuses redirects to other protocols", async () => {
+      await assert.rejects(
+        fetchLink(`${fixture.baseUrl}/redirect?to=${encodeURIComponent("ftp://example.com/")}`),
+        /protocol/i
+      );
+    });
+
+    it("rejects pages that are not HTML", async () => {
+      await assert.rejects(fetchLink(`${fixture.baseUrl}/plain`), /Not an HTML page/);
+    });
+
+    it("cuts off pages longer than maxBytes", async () => {
+      const small = createLinkFetcher({ allowPrivate: true, maxBytes: 1024 });
+      const page = await small(`${fixture.baseUrl}/large`);
+
+      assert.equal(Buffer.byteLength(page.html), 1024);
+      assert.match(page.html, /<title>Large<\/title>/);
+    });
+
+    it("times out on pages that never finish", async () => {
+      const impatient = createLinkFetcher({ allowPrivate: true, timeout: 200 });
+
+      await assert.rejects(impatient(`${fixture.baseUrl}/slow`));
+    });
+
+    it("rejects unsupported protocols", async () => {
+      await assert.rejects(fetchLink("file:///etc/passwd"), /Unsupported protocol/);
+    });
+  });
+
+  describe("private address protection", () => {
+    const fetchLink = createLinkFetcher({ timeout: 2000 });
+
+    it("refuses private IP literals", async () => {
+      await assert.rejects(fetchLink(`${fixture.baseUrl}/article`), /private address/);
+      await assert.rejects(fetchLink(`http://[::1]:${fixture.port}/article`), /private address/);
+      await assert.rejects(fetchLink("http://169.254.169.254/latest/meta-data/"), /private address/);
+    });
+
+    it("refuses hosts that resolve to a private address", async () => {
+      await assert.rejects(fetchLink(`http://localhost:${fixture.port}/article`), /resolves to a private address/);
+    });
+
+    it("refuses redirects to a private address", async () => {
+      // 127.0.0.1 stands in for a public host, 127.0.0.2 for an internal one
+      const guarded = createLinkFetcher({
+        timeout: 2000,
+        isBlockedAddress: (address) => address !== "127.0.0.1",
+      });
+      const internal = `http://127.0.0.2:${fixture.port}/article`;
+
+      const page = await guarded(`${fixture.baseUrl}/article`);
+      assert.match(page.html, /og:title/);
+
+      await assert.rejects(
+        guarded(`${fixture.baseUrl}/redirect?to=${encodeURIComponent(internal)}`),
+        /127\.0\.0\.2 is a private address/
+      );
+    });
+  });
+});
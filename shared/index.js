@@ -2,4 +2,5 @@ export {
   authenticateService,
   extractUserFromToken,
 } from "./middleware/serviceAuth.js";
+export { extractMentions, resolveMentions } from "./utils/mentions.js";
 export { default as logger } from "./utils/logger.js";
@@ -0,0 +1,43 @@
+// "@name" preceded by start of text or a non-word character (skips emails like a@b.com)
+const MENTION_PATTERN = /(^|[^\w@])@(\w{1,50})/g;
+const MAX_MENTIONS = 20;
+
+/**
+ * Find @username candidates in content
+ * Offsets and lengths are in UTF-16 code units (JavaScript string indices) and include the "@"
+ */
+export function extractMentions(content) {
+  if (!content) return [];
+
+  const mentions = [];
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const username = match[2];
+    mentions.push({
+      username,
+      offset: match.index + match[1].length,
+      length: username.length + 1,
+    });
+  }
+  return mentions;
+}
+
+/**
+ * Resolve mentions in content to existing users
+ * lookupUsers(usernames) returns [{ id, username }] for the usernames that exist
+ * Returns [{ userId, username, offset, length }] for existing users only
+ */
+export async function resolveMentions(content, lookupUsers) {
+  const candidates = extractMentions(content);
+  if (candidates.length === 0) return [];
+
+  const usernames = [...new Set(candidates.map((mention) => mention.username))].slice(0, MAX_MENTIONS);
+  const users = await lookupUsers(usernames);
+  const userIds = new Map(users.map((user) => [user.username, user.id]));
+
+  return candidates
+    .filter((mention) => userIds.has(mention.username))
+    .map((mention) => ({
+      userId: userIds.get(mention.username),
+      ...mention,
+    }));
+}